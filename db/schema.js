@@ -1,4 +1,8 @@
-import { pgTable, serial, text, timestamp, boolean, json, integer } from 'drizzle-orm/pg-core';
+import { pgTable, pgSequence, serial, text, timestamp, boolean, json, integer, bigint, index, uniqueIndex } from 'drizzle-orm/pg-core';
+import { sql } from 'drizzle-orm';
+
+// Sync version counter - stamped on every library change, used as the delta sync cursor
+export const syncVersionSeq = pgSequence('sync_version_seq');
 
 // Users table - matches existing schema with Discord auth
 export const users = pgTable('users', {
@@ -22,7 +26,26 @@ export const users = pgTable('users', {
   discordAccessToken: text('discord_access_token'),
   discordRefreshToken: text('discord_refresh_token'),
   discordTokenExpiry: timestamp('discord_token_expiry'),
-  authProvider: text('auth_provider').default('local'),
+  // Every login method linked to the account ('local', 'discord', ...)
+  authProviders: text('auth_providers').array().default(sql`ARRAY['local']::text[]`),
+  // TOTP two-factor authentication
+  twoFactorEnabled: boolean('two_factor_enabled').default(false),
+  twoFactorSecret: text('two_factor_secret'),
+  twoFactorLastUsedStep: integer('two_factor_last_used_step'),
+  // 'user' or 'admin'
+  role: text('role').default('user').notNull(),
+  // Banned accounts cannot log in
+  bannedAt: timestamp('banned_at'),
+  banReason: text('ban_reason'),
+  // Failed password attempts: growing delays, then a temporary lock
+  failedLoginAttempts: integer('failed_login_attempts').default(0).notNull(),
+  lastFailedLoginAt: timestamp('last_failed_login_at'),
+  lockedUntil: timestamp('locked_until'),
+  unlockTokenHash: text('unlock_token_hash').unique(),
+  // Pending deletion: login is blocked until restored or purged
+  deletionRequestedAt: timestamp('deletion_requested_at'),
+  deletionScheduledAt: timestamp('deletion_scheduled_at'),
+  restoreTokenHash: text('restore_token_hash').unique(),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
 });
@@ -30,52 +53,85 @@ export const users = pgTable('users', {
 // Watch history - matches existing schema
 export const watchHistory = pgTable('watch_history', {
   id: serial('id').primaryKey(),
-  userId: integer('user_id').references(() => users.id),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }),
   animeId: text('anime_id').notNull(),
   episodeId: text('episode_id').notNull(),
   episodeNumber: integer('episode_number').notNull(),
   watchedAt: timestamp('watched_at').defaultNow(),
   progress: integer('progress').default(0),
-  completed: boolean('completed').default(false)
-});
+  completed: boolean('completed').default(false),
+  // Delta sync: last-writer-wins timestamp, tombstone and change cursor
+  updatedAt: timestamp('updated_at').defaultNow(),
+  deletedAt: timestamp('deleted_at'),
+  syncVersion: bigint('sync_version', { mode: 'number' }).default(sql`nextval('sync_version_seq')`)
+}, (table) => ({
+  // One row per episode per user; deletions are tombstones on that row
+  userEpisodeIdx: uniqueIndex('watch_history_user_anime_episode_idx').on(table.userId, table.animeId, table.episodeId)
+}));
 
 // Favorites - matches existing schema
 export const favorites = pgTable('favorites', {
   id: serial('id').primaryKey(),
-  userId: integer('user_id').references(() => users.id),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }),
   animeId: text('anime_id').notNull(),
   title: text('title').notNull(),
   poster: text('poster'),
-  addedAt: timestamp('added_at').defaultNow()
-});
+  addedAt: timestamp('added_at').defaultNow(),
+  // Delta sync: last-writer-wins timestamp, tombstone and change cursor
+  updatedAt: timestamp('updated_at').defaultNow(),
+  deletedAt: timestamp('deleted_at'),
+  syncVersion: bigint('sync_version', { mode: 'number' }).default(sql`nextval('sync_version_seq')`)
+}, (table) => ({
+  userAnimeIdx: uniqueIndex('favorites_user_anime_idx').on(table.userId, table.animeId)
+}));
+
+// Watchlist statuses accepted in watchlist.status
+export const WATCHLIST_STATUSES = ['watching', 'completed', 'on_hold', 'dropped', 'plan_to_watch'];
 
 // Watchlist - matches existing schema
 export const watchlist = pgTable('watchlist', {
   id: serial('id').primaryKey(),
-  userId: integer('user_id').references(() => users.id),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }),
   animeId: text('anime_id').notNull(),
   title: text('title').notNull(),
   poster: text('poster'),
   status: text('status').default('plan_to_watch'),
   addedAt: timestamp('added_at').defaultNow(),
-  updatedAt: timestamp('updated_at').defaultNow()
-});
+  updatedAt: timestamp('updated_at').defaultNow(),
+  // Delta sync: tombstone and change cursor
+  deletedAt: timestamp('deleted_at'),
+  syncVersion: bigint('sync_version', { mode: 'number' }).default(sql`nextval('sync_version_seq')`)
+}, (table) => ({
+  userAnimeIdx: uniqueIndex('watchlist_user_anime_idx').on(table.userId, table.animeId)
+}));
 
-// Password reset tokens - matches existing schema
+// Password reset tokens - stored as keyed hashes
 export const passwordResetTokens = pgTable('password_reset_tokens', {
   id: serial('id').primaryKey(),
-  userId: integer('user_id').references(() => users.id).notNull(),
-  token: text('token').unique().notNull(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  tokenHash: text('token_hash').unique().notNull(),
   expiresAt: timestamp('expires_at').notNull(),
   used: boolean('used').default(false),
   createdAt: timestamp('created_at').defaultNow()
 });
 
-// Email verification tokens - matches existing schema
+// Email verification tokens - stored as keyed hashes
 export const emailVerificationTokens = pgTable('email_verification_tokens', {
   id: serial('id').primaryKey(),
-  userId: integer('user_id').references(() => users.id).notNull(),
-  token: text('token').unique().notNull(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  tokenHash: text('token_hash').unique().notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  used: boolean('used').default(false),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// Email change requests - pending address changes awaiting confirmation
+export const emailChangeRequests = pgTable('email_change_requests', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  newEmail: text('new_email').notNull(),
+  tokenHash: text('token_hash').unique().notNull(), // token sent to the new address
+  cancelTokenHash: text('cancel_token_hash').unique().notNull(), // token sent to the old address
   expiresAt: timestamp('expires_at').notNull(),
   used: boolean('used').default(false),
   createdAt: timestamp('created_at').defaultNow()
@@ -92,7 +148,7 @@ export const dailySignups = pgTable('daily_signups', {
 // Watch parties - existing table
 export const watchParties = pgTable('watch_parties', {
   id: serial('id').primaryKey(),
-  hostId: integer('host_id').references(() => users.id),
+  hostId: integer('host_id').references(() => users.id, { onDelete: 'cascade' }),
   animeId: text('anime_id').notNull(),
   episodeId: text('episode_id').notNull(),
   episodeNumber: integer('episode_number').notNull(),
@@ -111,8 +167,171 @@ export const watchParties = pgTable('watch_parties', {
 export const watchPartyParticipants = pgTable('watch_party_participants', {
   id: serial('id').primaryKey(),
   partyId: integer('party_id').references(() => watchParties.id, { onDelete: 'cascade' }),
-  userId: integer('user_id').references(() => users.id),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }),
   joinedAt: timestamp('joined_at').defaultNow(),
   leftAt: timestamp('left_at'),
   isActive: boolean('is_active').default(true)
+}, (table) => ({
+  partyUserIdx: uniqueIndex('watch_party_participants_party_user_idx').on(table.partyId, table.userId)
+}));
+
+// Sessions - one row per login, shared by every refresh token in its rotation family
+export const sessions = pgTable('sessions', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  revokedAt: timestamp('revoked_at'),
+  revokedReason: text('revoked_reason'),
+  // Device the session was started on, reported by the client
+  deviceName: text('device_name'),
+  platform: text('platform'),
+  appVersion: text('app_version'),
+  ipAddress: text('ip_address'),
+  userAgent: text('user_agent'),
+  lastUsedAt: timestamp('last_used_at').defaultNow(),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// Refresh tokens - stored as keyed hashes, each usable exactly once
+export const refreshTokens = pgTable('refresh_tokens', {
+  id: serial('id').primaryKey(),
+  sessionId: integer('session_id').references(() => sessions.id, { onDelete: 'cascade' }).notNull(),
+  tokenHash: text('token_hash').unique().notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  usedAt: timestamp('used_at'),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// OAuth states - pending authorization requests with their PKCE verifiers
+export const oauthStates = pgTable('oauth_states', {
+  id: serial('id').primaryKey(),
+  state: text('state').unique().notNull(),
+  provider: text('provider').notNull(),
+  // Set when an authenticated user is linking the provider to their account
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }),
+  // Keyed hash of the nonce in the starting client's cookie
+  nonceHash: text('nonce_hash').notNull(),
+  codeVerifier: text('code_verifier').notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// Two-factor backup codes - keyed hashes, each usable once
+export const twoFactorBackupCodes = pgTable('two_factor_backup_codes', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  codeHash: text('code_hash').notNull(),
+  usedAt: timestamp('used_at'),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// Pending 2FA logins - one row per challenge token, counting code attempts; single use
+export const twoFactorChallenges = pgTable('two_factor_challenges', {
+  id: serial('id').primaryKey(),
+  challengeId: text('challenge_id').unique().notNull(), // jti of the challenge token
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  attempts: integer('attempts').default(0).notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  usedAt: timestamp('used_at'),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// Passwordless login - emailed link and 6-digit code (keyed hashes), single use
+export const magicLinkTokens = pgTable('magic_link_tokens', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  tokenHash: text('token_hash').unique().notNull(),
+  codeHash: text('code_hash').notNull(),
+  attempts: integer('attempts').default(0).notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  usedAt: timestamp('used_at'),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// Passkeys - WebAuthn credentials (COSE public key, base64url) with their signature counters
+export const passkeys = pgTable('passkeys', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  credentialId: text('credential_id').unique().notNull(),
+  publicKey: text('public_key').notNull(),
+  algorithm: integer('algorithm').notNull(),
+  signCount: bigint('sign_count', { mode: 'number' }).default(0).notNull(),
+  transports: text('transports').array(),
+  name: text('name').notNull(),
+  aaguid: text('aaguid'),
+  backedUp: boolean('backed_up').default(false),
+  lastUsedAt: timestamp('last_used_at'),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// WebAuthn challenges - pending passkey ceremonies (keyed hashes), single use
+export const webauthnChallenges = pgTable('webauthn_challenges', {
+  id: serial('id').primaryKey(),
+  challengeHash: text('challenge_hash').unique().notNull(),
+  type: text('type').notNull(), // registration, authentication
+  // Set for registration; discoverable logins do not know the user yet
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }),
+  expiresAt: timestamp('expires_at').notNull(),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// Data exports - background export jobs, downloaded with an expiring token (keyed hash)
+export const dataExports = pgTable('data_exports', {
+  id: serial('id').primaryKey(),
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }).notNull(),
+  format: text('format').notNull(), // json, csv or mal
+  collection: text('collection'), // csv only
+  status: text('status').default('pending').notNull(), // pending, processing, ready, failed
+  tokenHash: text('token_hash').unique().notNull(),
+  fileName: text('file_name'),
+  contentType: text('content_type'),
+  content: text('content'),
+  error: text('error'),
+  expiresAt: timestamp('expires_at').notNull(),
+  completedAt: timestamp('completed_at'),
+  createdAt: timestamp('created_at').defaultNow()
+});
+
+// Security events - append-only audit log of sign-ins and account changes
+export const securityEvents = pgTable('security_events', {
+  id: serial('id').primaryKey(),
+  // Null for failed logins to unknown addresses
+  userId: integer('user_id').references(() => users.id, { onDelete: 'cascade' }),
+  type: text('type').notNull(),
+  // 'success' or 'failure'
+  outcome: text('outcome').notNull(),
+  ipAddress: text('ip_address'),
+  userAgent: text('user_agent'),
+  details: json('details'),
+  createdAt: timestamp('created_at').defaultNow().notNull()
+}, (table) => ({
+  userCreatedIdx: index('security_events_user_created_idx').on(table.userId, table.createdAt)
+}));
+
+// App settings - runtime overrides changed through the admin API
+export const appSettings = pgTable('app_settings', {
+  key: text('key').primaryKey(),
+  value: json('value'),
+  updatedBy: integer('updated_by').references(() => users.id, { onDelete: 'set null' }),
+  updatedAt: timestamp('updated_at').defaultNow()
+});
+
+// Rate limit counters shared by every server instance (RATE_LIMIT_STORE=database)
+export const rateLimits = pgTable('rate_limits', {
+  key: text('key').primaryKey(),
+  hits: integer('hits').default(0).notNull(),
+  resetAt: timestamp('reset_at').notNull()
+});
+
+// JWT signing keys - private keys encrypted at rest, public keys published in the JWKS
+export const signingKeys = pgTable('signing_keys', {
+  id: serial('id').primaryKey(),
+  kid: text('kid').unique().notNull(),
+  algorithm: text('algorithm').notNull(), // RS256, EdDSA
+  publicKey: json('public_key').notNull(), // JWK
+  privateKey: text('private_key').notNull(), // PKCS#8 PEM, AES-256-GCM encrypted
+  // Set once a newer key signs; the key still verifies until expiresAt
+  retiredAt: timestamp('retired_at'),
+  expiresAt: timestamp('expires_at'),
+  createdAt: timestamp('created_at').defaultNow().notNull()
 });
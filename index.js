@@ -3,8 +3,16 @@ import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
+import watchPartyRoutes from './routes/watchParties.js';
+import libraryRoutes from './routes/library.js';
+import adminRoutes from './routes/admin.js';
+import wellKnownRoutes from './routes/wellKnown.js';
 import { apiLimiter } from './middleware/rateLimit.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { attachWatchPartySocket } from './sockets/watchPartySocket.js';
+import { startAccountPurgeJob } from './jobs/purgeDeletedAccounts.js';
+import { startSecurityEventPruneJob } from './jobs/pruneSecurityEvents.js';
+import { startSigningKeyRotationJob } from './jobs/rotateSigningKeys.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,6 +30,12 @@ for (const envVar of requiredEnvVars) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a proxy (Vercel, Railway, Heroku) the client IP comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -29,7 +43,7 @@ app.use(helmet());
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Name', 'X-Device-Platform', 'X-App-Version'],
   credentials: true
 };
 app.use(cors(corsOptions));
@@ -59,8 +73,14 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Token verification keys for other services
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/watch-parties', watchPartyRoutes);
+app.use('/api/library', libraryRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -69,7 +89,7 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔════════════════════════════════════════╗
 ║   🚀 Otazumi API Server                ║
@@ -82,6 +102,18 @@ app.listen(PORT, () => {
   console.log(`API endpoint: http://localhost:${PORT}/api/auth`);
 });
 
+// Watch party playback sync (WebSocket)
+attachWatchPartySocket(server);
+
+// Remove accounts whose deletion grace period has ended
+startAccountPurgeJob();
+
+// Drop security events past their retention period
+startSecurityEventPruneJob();
+
+// Replace the JWT signing key when it is due
+startSigningKeyRotationJob();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
@@ -0,0 +1,48 @@
+import 'dotenv/config';
+import { pathToFileURL } from 'url';
+import { SecurityEventService } from '../services/securityEventService.js';
+
+const PRUNE_INTERVAL_MINUTES = parseInt(process.env.SECURITY_EVENT_PRUNE_INTERVAL_MINUTES || '60');
+
+/**
+ * Delete security events older than the retention period
+ */
+export async function pruneSecurityEvents() {
+  const pruned = await SecurityEventService.pruneExpired();
+
+  if (pruned > 0) {
+    console.log(`🧹 Pruned ${pruned} security event(s)`);
+  }
+
+  return pruned;
+}
+
+/**
+ * Prune now and then every SECURITY_EVENT_PRUNE_INTERVAL_MINUTES
+ * Set the interval to 0 to disable it and run this file from cron instead.
+ */
+export function startSecurityEventPruneJob() {
+  if (PRUNE_INTERVAL_MINUTES <= 0) {
+    return null;
+  }
+
+  const run = () => pruneSecurityEvents().catch(error => {
+    console.error('Error pruning security events:', error);
+  });
+
+  run();
+  const timer = setInterval(run, PRUNE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+// `node jobs/pruneSecurityEvents.js` runs a single prune (for cron)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  pruneSecurityEvents()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Error pruning security events:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,48 @@
+import 'dotenv/config';
+import { pathToFileURL } from 'url';
+import { AccountDeletionService } from '../services/accountDeletionService.js';
+
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES || '60');
+
+/**
+ * Purge accounts whose deletion grace period has ended
+ */
+export async function purgeDeletedAccounts() {
+  const purged = await AccountDeletionService.purgeDueAccounts();
+
+  if (purged > 0) {
+    console.log(`🗑️  Purged ${purged} deleted account(s)`);
+  }
+
+  return purged;
+}
+
+/**
+ * Run the purge now and then every ACCOUNT_PURGE_INTERVAL_MINUTES
+ * Set the interval to 0 to disable it and run this file from cron instead.
+ */
+export function startAccountPurgeJob() {
+  if (PURGE_INTERVAL_MINUTES <= 0) {
+    return null;
+  }
+
+  const run = () => purgeDeletedAccounts().catch(error => {
+    console.error('Error purging deleted accounts:', error);
+  });
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+// `node jobs/purgeDeletedAccounts.js` runs a single purge (for cron)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  purgeDeletedAccounts()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Error purging deleted accounts:', error);
+      process.exit(1);
+    });
+}
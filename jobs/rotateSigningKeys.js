@@ -0,0 +1,48 @@
+import 'dotenv/config';
+import { pathToFileURL } from 'url';
+import { SigningKeyService } from '../services/signingKeyService.js';
+
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.JWT_KEY_CHECK_INTERVAL_MINUTES || '60');
+
+/**
+ * Replace the JWT signing key once it is due (or right away with force)
+ */
+export async function rotateSigningKeys({ force = false } = {}) {
+  const key = force ? await SigningKeyService.rotate() : await SigningKeyService.rotateIfDue();
+
+  if (key) {
+    console.log(`🔑 New JWT signing key ${key.kid} (${key.algorithm})`);
+  }
+
+  return key;
+}
+
+/**
+ * Check now and then every JWT_KEY_CHECK_INTERVAL_MINUTES
+ * Set the interval to 0 to disable it and run this file from cron instead.
+ */
+export function startSigningKeyRotationJob() {
+  if (CHECK_INTERVAL_MINUTES <= 0) {
+    return null;
+  }
+
+  const run = () => rotateSigningKeys().catch(error => {
+    console.error('Error rotating signing keys:', error);
+  });
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+
+  return timer;
+}
+
+// `node jobs/rotateSigningKeys.js` rotates if due (for cron); `--now` rotates immediately
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  rotateSigningKeys({ force: process.argv.includes('--now') })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Error rotating signing keys:', error);
+      process.exit(1);
+    });
+}
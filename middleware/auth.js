@@ -2,6 +2,9 @@ import { verifyToken, extractTokenFromHeader } from '../utils/jwt.js';
 import { db } from '../db/index.js';
 import { users } from '../db/schema.js';
 import { eq } from 'drizzle-orm';
+import { SessionService } from '../services/sessionService.js';
+import { sanitizeUser } from '../utils/user.js';
+import { getRequestContext } from '../utils/request.js';
 
 /**
  * Authentication middleware
@@ -19,7 +22,17 @@ export async function authenticate(req, res, next) {
     }
 
     // Verify token
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
+
+    // Reject tokens whose session has been revoked or has expired
+    const session = decoded.sid ? await SessionService.getActiveSession(decoded.sid) : null;
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked'
+      });
+    }
 
     // Fetch user from database
     const [user] = await db
@@ -35,12 +48,23 @@ export async function authenticate(req, res, next) {
       });
     }
 
-    // Remove password from user object
-    const { password: _, ...userWithoutPassword } = user;
+    if (user.bannedAt) {
+      return res.status(403).json({
+        success: false,
+        error: 'This account has been banned'
+      });
+    }
+
+    // Remove secrets from user object
+    const publicUser = sanitizeUser(user);
 
     // Attach user to request
-    req.user = userWithoutPassword;
+    req.user = publicUser;
     req.userId = user.id;
+    req.sessionId = decoded.sid;
+
+    // Last seen is refreshed in the background, at most every few minutes
+    SessionService.touchSession(session, getRequestContext(req));
 
     next();
   } catch (error) {
@@ -51,6 +75,21 @@ export async function authenticate(req, res, next) {
   }
 }
 
+/**
+ * Admin-only middleware
+ * Must run after authenticate
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  next();
+}
+
 /**
  * Optional authentication middleware
  * Attaches user if token is present, but doesn't fail if not
@@ -60,18 +99,20 @@ export async function optionalAuth(req, res, next) {
     const token = extractTokenFromHeader(req.headers.authorization);
 
     if (token) {
-      const decoded = verifyToken(token);
-
-      const [user] = await db
-        .select()
-        .from(users)
-        .where(eq(users.id, decoded.userId))
-        .limit(1);
-
-      if (user) {
-        const { password: _, ...userWithoutPassword } = user;
-        req.user = userWithoutPassword;
-        req.userId = user.id;
+      const decoded = await verifyToken(token);
+
+      if (decoded.sid && await SessionService.isSessionActive(decoded.sid)) {
+        const [user] = await db
+          .select()
+          .from(users)
+          .where(eq(users.id, decoded.userId))
+          .limit(1);
+
+        if (user && !user.bannedAt) {
+          req.user = sanitizeUser(user);
+          req.userId = user.id;
+          req.sessionId = decoded.sid;
+        }
       }
     }
 
@@ -18,10 +18,17 @@ export function errorHandler(err, req, res, next) {
   } else if (err.name === 'ForbiddenError') {
     status = 403;
     message = 'Forbidden';
+  } else if (err.status) {
+    status = err.status;
+    message = err.message;
   } else if (err.message) {
     message = err.message;
   }
 
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // In production, don't leak error details
   if (process.env.NODE_ENV === 'production' && status === 500) {
     message = 'Internal server error';
@@ -30,6 +37,7 @@ export function errorHandler(err, req, res, next) {
   res.status(status).json({
     success: false,
     error: message,
+    ...(err.status && err.status < 500 && err.errors && { errors: err.errors }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 }
@@ -1,4 +1,32 @@
 import rateLimit from 'express-rate-limit';
+import validator from 'validator';
+import { createRateLimitStore } from '../services/rateLimitStores.js';
+
+/**
+ * Rate limit keys
+ * By default clients are counted by IP. Limiters protecting one account or
+ * mailbox count per email or per signed-in user instead, so spreading
+ * requests over many IPs does not help. Email limits come with an IP limit
+ * too, so one client cannot cycle through addresses. Emails are normalized
+ * like the validators do (Gmail dots and +tags removed), so spellings of one
+ * mailbox share a count.
+ *
+ * The api and email verification limiters let requests through when the
+ * store fails; the ones guarding sign-in and password resets refuse them.
+ */
+export function keyByIp(req) {
+  return `ip:${req.ip}`;
+}
+
+export function keyByEmail(req) {
+  const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+  const normalized = email && validator.isEmail(email) && validator.normalizeEmail(email);
+  return normalized ? `email:${normalized}` : keyByIp(req);
+}
+
+export function keyByUser(req) {
+  return req.userId ? `user:${req.userId}` : keyByIp(req);
+}
 
 /**
  * General API rate limiter
@@ -12,7 +40,10 @@ export const apiLimiter = rateLimit({
     error: 'Too many requests, please try again later.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  store: createRateLimitStore('api'),
+  keyGenerator: keyByIp,
+  passOnStoreError: true
 });
 
 /**
@@ -28,27 +59,81 @@ export const authLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  skipSuccessfulRequests: true // Don't count successful requests
+  skipSuccessfulRequests: true, // Don't count successful requests
+  store: createRateLimitStore('auth'),
+  keyGenerator: keyByIp,
+  passOnStoreError: false
 });
 
 /**
  * Password reset rate limiter
- * 3 requests per hour
+ * 3 requests per hour per email address and 10 per hour per IP
  */
-export const passwordResetLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3,
-  message: {
-    success: false,
-    error: 'Too many password reset attempts, please try again later.'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
+export const passwordResetLimiter = [
+  rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10,
+    message: {
+      success: false,
+      error: 'Too many password reset attempts, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createRateLimitStore('password-reset-ip'),
+    keyGenerator: keyByIp,
+    passOnStoreError: false
+  }),
+  rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    message: {
+      success: false,
+      error: 'Too many password reset attempts, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createRateLimitStore('password-reset'),
+    keyGenerator: keyByEmail,
+    passOnStoreError: false
+  })
+];
+
+/**
+ * Magic link rate limiter
+ * 3 sign-in emails per hour per email address and 10 per hour per IP
+ */
+export const magicLinkLimiter = [
+  rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: {
+      success: false,
+      error: 'Too many sign-in link requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createRateLimitStore('magic-link-ip'),
+    keyGenerator: keyByIp,
+    passOnStoreError: false
+  }),
+  rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    message: {
+      success: false,
+      error: 'Too many sign-in link requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: createRateLimitStore('magic-link'),
+    keyGenerator: keyByEmail,
+    passOnStoreError: false
+  })
+];
 
 /**
  * Email verification rate limiter
- * 3 requests per hour
+ * 3 requests per hour per user (runs after authenticate)
  */
 export const emailVerificationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
@@ -58,5 +143,8 @@ export const emailVerificationLimiter = rateLimit({
     error: 'Too many verification requests, please try again later.'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  store: createRateLimitStore('email-verification'),
+  keyGenerator: keyByUser,
+  passOnStoreError: true
 });
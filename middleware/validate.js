@@ -1,4 +1,11 @@
-import { body, validationResult } from 'express-validator';
+import { body, query, param, validationResult } from 'express-validator';
+import { WATCHLIST_STATUSES } from '../db/schema.js';
+import { LIBRARY_COLLECTIONS, LIBRARY_SORTS } from '../services/libraryService.js';
+import { EXPORT_FORMATS } from '../services/exportService.js';
+import { IMPORT_SOURCES } from '../services/importService.js';
+import { USER_ROLES, USER_STATUSES } from '../services/adminService.js';
+import { SECURITY_EVENT_TYPES, SECURITY_EVENT_OUTCOMES } from '../services/securityEventService.js';
+import { checkPasswordPolicy } from '../utils/passwordPolicy.js';
 
 /**
  * Validation middleware to check for validation errors
@@ -9,12 +16,39 @@ export function validateRequest(req, res, next) {
     return res.status(400).json({
       success: false,
       error: 'Validation failed',
-      errors: errors.array()
+      // Password policy errors carry { message, reasons } as their msg
+      errors: errors.array().map(error => (
+        error.msg && error.msg.reasons
+          ? { ...error, msg: error.msg.message, reasons: error.msg.reasons }
+          : error
+      ))
     });
   }
   next();
 }
 
+/**
+ * Password policy rule for a body field
+ * The username and email are taken from the body (registration) or the
+ * signed-in user, so they can be penalised.
+ */
+function passwordPolicyRule(field) {
+  return body(field).custom((value, { req }) => {
+    const user = req.user || {};
+    const result = checkPasswordPolicy(value, {
+      username: req.body.username || user.username,
+      email: req.body.email || user.email
+    });
+
+    if (!result.valid) {
+      // Thrown as a plain object so express-validator keeps the reasons
+      throw { message: result.reasons[0].message, reasons: result.reasons };
+    }
+
+    return true;
+  });
+}
+
 /**
  * Register validation rules
  */
@@ -28,9 +62,7 @@ export const registerValidation = [
     .isLength({ min: 3, max: 30 })
     .matches(/^[a-zA-Z0-9_]+$/)
     .withMessage('Username must be 3-30 characters and contain only letters, numbers, and underscores'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters'),
+  passwordPolicyRule('password'),
   body('avatar')
     .optional()
     .isString()
@@ -50,6 +82,30 @@ export const loginValidation = [
     .withMessage('Password is required')
 ];
 
+/**
+ * Refresh token validation rules
+ */
+export const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+/**
+ * OAuth callback validation rules
+ */
+export const oauthCallbackValidation = [
+  query('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  query('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required')
+];
+
 /**
  * Profile update validation rules
  */
@@ -70,6 +126,28 @@ export const updateProfileValidation = [
     .withMessage('Preferences must be an object')
 ];
 
+/**
+ * Email change request validation rules
+ */
+export const emailChangeValidation = [
+  body('newEmail')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+];
+
+/**
+ * Email change confirm/cancel validation rules
+ */
+export const emailChangeTokenValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
 /**
  * Change password validation rules
  */
@@ -77,12 +155,22 @@ export const changePasswordValidation = [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters'),
+  passwordPolicyRule('newPassword'),
   body('newPassword')
     .custom((value, { req }) => value !== req.body.currentPassword)
-    .withMessage('New password must be different from current password')
+    .withMessage('New password must be different from current password'),
+  body('signOutOtherSessions')
+    .optional()
+    .isBoolean()
+    .withMessage('signOutOtherSessions must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Set password validation rules (OAuth-only accounts)
+ */
+export const setPasswordValidation = [
+  passwordPolicyRule('newPassword')
 ];
 
 /**
@@ -102,9 +190,22 @@ export const resetPasswordValidation = [
   body('token')
     .notEmpty()
     .withMessage('Reset token is required'),
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters')
+  passwordPolicyRule('newPassword'),
+  body('signOutOtherSessions')
+    .optional()
+    .isBoolean()
+    .withMessage('signOutOtherSessions must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Session ID parameter validation rules
+ */
+export const sessionIdParamValidation = [
+  param('sessionId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid session ID')
+    .toInt()
 ];
 
 /**
@@ -121,14 +222,158 @@ export const verifyEmailValidation = [
  */
 export const deleteAccountValidation = [
   body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string')
+];
+
+/**
+ * Account restore validation rules
+ */
+export const restoreAccountValidation = [
+  body('token')
     .notEmpty()
-    .withMessage('Password is required for account deletion')
+    .withMessage('Restore token is required')
+];
+
+/**
+ * Account unlock validation rules
+ */
+export const unlockAccountValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Unlock token is required')
+];
+
+/**
+ * Magic link request validation rules
+ */
+export const magicLinkRequestValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required')
+];
+
+/**
+ * Magic link verification rules (link token, or email and 6-digit code)
+ */
+export const magicLinkVerifyValidation = [
+  body('token')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Login token must be a non-empty string'),
+  body('email')
+    .if(body('token').not().exists())
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('code')
+    .if(body('token').not().exists())
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required')
+];
+
+/**
+ * Passkey credential validation rules (WebAuthn response JSON)
+ */
+export const passkeyCredentialValidation = [
+  body('credential')
+    .isObject()
+    .withMessage('Passkey credential is required'),
+  body('credential.id')
+    .isString()
+    .notEmpty()
+    .withMessage('Passkey credential ID is required'),
+  body('credential.response')
+    .isObject()
+    .withMessage('Passkey response is required')
+];
+
+/**
+ * Passkey name validation rules
+ */
+export const passkeyNameValidation = [
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Passkey name must be 1-50 characters')
+];
+
+/**
+ * Passkey ID parameter validation rules
+ */
+export const passkeyIdParamValidation = [
+  param('passkeyId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid passkey ID')
+    .toInt()
+];
+
+/**
+ * Passkey rename validation rules
+ */
+export const passkeyRenameValidation = [
+  ...passkeyIdParamValidation,
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Passkey name must be 1-50 characters')
+];
+
+/**
+ * Two-factor code validation rules (enable)
+ */
+export const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+];
+
+/**
+ * Two-factor login verification rules
+ */
+export const twoFactorVerifyValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Verification code is required')
+];
+
+/**
+ * Password confirmation validation rules (sensitive 2FA actions)
+ */
+export const passwordConfirmValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
 ];
 
 /**
  * Sync data validation rules
  */
 export const syncDataValidation = [
+  body('mode')
+    .optional()
+    .isIn(['delta', 'replace'])
+    .withMessage('Mode must be delta or replace'),
+  body('syncToken')
+    .optional({ values: 'null' })
+    .matches(/^\d+$/)
+    .withMessage('Invalid sync token'),
   body('favorites')
     .optional()
     .isArray()
@@ -142,3 +387,443 @@ export const syncDataValidation = [
     .isArray()
     .withMessage('Watch history must be an array')
 ];
+
+/**
+ * Watch party room code param rules
+ */
+export const roomCodeValidation = [
+  param('roomCode')
+    .isAlphanumeric()
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Invalid room code')
+];
+
+/**
+ * Create watch party validation rules
+ */
+export const createWatchPartyValidation = [
+  body('animeId')
+    .isString()
+    .notEmpty()
+    .withMessage('Anime ID is required'),
+  body('episodeId')
+    .isString()
+    .notEmpty()
+    .withMessage('Episode ID is required'),
+  body('episodeNumber')
+    .isInt({ min: 0 })
+    .withMessage('Episode number must be a non-negative integer')
+    .toInt(),
+  body('animeTitle')
+    .optional()
+    .isString()
+    .withMessage('Anime title must be a string'),
+  body('animePoster')
+    .optional()
+    .isString()
+    .withMessage('Anime poster must be a string'),
+  body('maxParticipants')
+    .optional()
+    .isInt({ min: 2, max: 50 })
+    .withMessage('Max participants must be between 2 and 50')
+    .toInt(),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Update watch party validation rules (host only)
+ */
+export const updateWatchPartyValidation = [
+  body('animeId')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Anime ID must be a non-empty string'),
+  body('episodeId')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Episode ID must be a non-empty string'),
+  body('episodeNumber')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Episode number must be a non-negative integer')
+    .toInt(),
+  body('animeTitle')
+    .optional()
+    .isString()
+    .withMessage('Anime title must be a string'),
+  body('animePoster')
+    .optional()
+    .isString()
+    .withMessage('Anime poster must be a string'),
+  body('maxParticipants')
+    .optional()
+    .isInt({ min: 2, max: 50 })
+    .withMessage('Max participants must be between 2 and 50')
+    .toInt(),
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Pagination query validation rules
+ */
+export const paginationValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+    .toInt()
+];
+
+/**
+ * Library anime ID param rules
+ */
+export const animeIdParamValidation = [
+  param('animeId')
+    .isString()
+    .notEmpty()
+    .withMessage('Anime ID is required')
+];
+
+/**
+ * Watch history entry param rules
+ */
+export const historyEntryParamValidation = [
+  ...animeIdParamValidation,
+  param('episodeId')
+    .isString()
+    .notEmpty()
+    .withMessage('Episode ID is required')
+];
+
+/**
+ * Add favorite validation rules
+ */
+export const favoriteValidation = [
+  body('animeId')
+    .isString()
+    .notEmpty()
+    .withMessage('Anime ID is required'),
+  body('title')
+    .isString()
+    .notEmpty()
+    .withMessage('Title is required'),
+  body('poster')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Poster must be a string')
+];
+
+/**
+ * Add watchlist item validation rules
+ */
+export const watchlistItemValidation = [
+  ...favoriteValidation,
+  body('status')
+    .optional()
+    .isIn(WATCHLIST_STATUSES)
+    .withMessage(`Status must be one of: ${WATCHLIST_STATUSES.join(', ')}`)
+];
+
+/**
+ * Update watchlist item validation rules
+ */
+export const updateWatchlistItemValidation = [
+  ...animeIdParamValidation,
+  body('title')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Title must be a non-empty string'),
+  body('poster')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Poster must be a string'),
+  body('status')
+    .optional()
+    .isIn(WATCHLIST_STATUSES)
+    .withMessage(`Status must be one of: ${WATCHLIST_STATUSES.join(', ')}`)
+];
+
+/**
+ * Record watch history validation rules
+ */
+export const historyEntryValidation = [
+  body('animeId')
+    .isString()
+    .notEmpty()
+    .withMessage('Anime ID is required'),
+  body('episodeId')
+    .isString()
+    .notEmpty()
+    .withMessage('Episode ID is required'),
+  body('episodeNumber')
+    .isInt({ min: 0 })
+    .withMessage('Episode number must be a non-negative integer')
+    .toInt(),
+  body('progress')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Progress must be a non-negative integer')
+    .toInt(),
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be a boolean')
+    .toBoolean(),
+  body('watchedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('watchedAt must be an ISO 8601 date')
+];
+
+/**
+ * Fields clients may select from library items
+ */
+const LIBRARY_FIELDS = [
+  'id', 'animeId', 'episodeId', 'title', 'poster', 'status', 'episodeNumber',
+  'progress', 'completed', 'watchedAt', 'addedAt', 'updatedAt'
+];
+
+/**
+ * Comma-separated list of allowed values
+ */
+function commaList(allowed) {
+  return value => String(value).split(',').every(item => allowed.includes(item.trim()));
+}
+
+/**
+ * User data query validation rules
+ */
+export const userDataQueryValidation = [
+  query('collections')
+    .optional()
+    .custom(commaList(LIBRARY_COLLECTIONS))
+    .withMessage(`Collections must be a comma-separated list of: ${LIBRARY_COLLECTIONS.join(', ')}`)
+    .customSanitizer(value => String(value).split(',').map(item => item.trim())),
+  query('fields')
+    .optional()
+    .custom(commaList(LIBRARY_FIELDS))
+    .withMessage(`Fields must be a comma-separated list of: ${LIBRARY_FIELDS.join(', ')}`)
+    .customSanitizer(value => String(value).split(',').map(item => item.trim())),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+    .toInt(),
+  query('cursor')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Invalid cursor'),
+  query('sort')
+    .optional()
+    .isIn(LIBRARY_SORTS)
+    .withMessage(`Sort must be one of: ${LIBRARY_SORTS.join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  query('animeId')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Anime ID must be a non-empty string'),
+  query('status')
+    .optional()
+    .isIn(WATCHLIST_STATUSES)
+    .withMessage(`Status must be one of: ${WATCHLIST_STATUSES.join(', ')}`),
+  query('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be a boolean')
+    .toBoolean(),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+];
+
+/**
+ * Data export request validation rules
+ */
+export const dataExportValidation = [
+  body('format')
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  body('collection')
+    .if(body('format').equals('csv'))
+    .isIn(LIBRARY_COLLECTIONS)
+    .withMessage(`CSV exports need a collection: ${LIBRARY_COLLECTIONS.join(', ')}`)
+];
+
+/**
+ * Data export ID param rules
+ */
+export const dataExportIdValidation = [
+  param('exportId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid export ID')
+    .toInt()
+];
+
+/**
+ * Data export download validation rules
+ */
+export const dataExportDownloadValidation = [
+  query('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Download token is required')
+];
+
+/**
+ * List import validation rules
+ */
+export const listImportValidation = [
+  body('source')
+    .isIn(Object.keys(IMPORT_SOURCES))
+    .withMessage(`Source must be one of: ${Object.keys(IMPORT_SOURCES).join(', ')}`),
+  body('data')
+    .custom(value => (typeof value === 'string' && value.length > 0) || (typeof value === 'object' && value !== null))
+    .withMessage('Export file contents are required'),
+  body('mode')
+    .optional()
+    .isIn(['merge', 'replace'])
+    .withMessage('Mode must be merge or replace'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Admin user ID param rules
+ */
+export const userIdParamValidation = [
+  param('userId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid user ID')
+    .toInt()
+];
+
+/**
+ * Admin user search rules
+ */
+export const adminUserSearchValidation = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Search must be at most 255 characters'),
+  query('role')
+    .optional()
+    .isIn(USER_ROLES)
+    .withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+  query('status')
+    .optional()
+    .isIn(USER_STATUSES)
+    .withMessage(`Status must be one of: ${USER_STATUSES.join(', ')}`),
+  ...paginationValidation
+];
+
+/**
+ * Ban user rules
+ */
+export const banUserValidation = [
+  ...userIdParamValidation,
+  body('reason')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+];
+
+/**
+ * Daily signup limit override rules (null clears the override)
+ */
+export const signupLimitValidation = [
+  body('limit')
+    .custom(value => value === null || (Number.isInteger(value) && value >= 0))
+    .withMessage('Limit must be a non-negative integer or null')
+];
+
+/**
+ * Signup history rules
+ */
+export const signupHistoryValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365')
+    .toInt()
+];
+
+/**
+ * Security event filter rules (a user's own events)
+ */
+export const securityEventListValidation = [
+  query('type')
+    .optional()
+    .isIn(SECURITY_EVENT_TYPES)
+    .withMessage('Invalid event type'),
+  query('outcome')
+    .optional()
+    .isIn(SECURITY_EVENT_OUTCOMES)
+    .withMessage(`Outcome must be one of: ${SECURITY_EVENT_OUTCOMES.join(', ')}`),
+  ...paginationValidation
+];
+
+/**
+ * Admin security event search rules
+ */
+export const adminSecurityEventQueryValidation = [
+  ...securityEventListValidation,
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Invalid user ID')
+    .toInt(),
+  query('ipAddress')
+    .optional()
+    .isIP()
+    .withMessage('Invalid IP address'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+];
+
+/**
+ * Security event retention override rules (null clears the override)
+ */
+export const securityEventRetentionValidation = [
+  body('days')
+    .custom(value => value === null || (Number.isInteger(value) && value >= 1 && value <= 3650))
+    .withMessage('Days must be an integer between 1 and 3650, or null')
+];
@@ -0,0 +1,298 @@
+import express from 'express';
+import { AdminService } from '../services/adminService.js';
+import { AuthService } from '../services/authService.js';
+import { SecurityEventService } from '../services/securityEventService.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { sendPasswordResetEmail } from '../services/emailService.js';
+import { getRequestContext } from '../utils/request.js';
+import {
+  validateRequest,
+  userIdParamValidation,
+  adminUserSearchValidation,
+  banUserValidation,
+  signupLimitValidation,
+  signupHistoryValidation,
+  adminSecurityEventQueryValidation,
+  securityEventRetentionValidation
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Every admin route needs a signed-in admin
+router.use(authenticate, requireAdmin);
+
+/**
+ * GET /api/admin/users
+ * Search users (?q=, role, status, limit, offset)
+ */
+router.get(
+  '/users',
+  adminUserSearchValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { q, role, status, limit, offset } = req.query;
+
+      const result = await AdminService.searchUsers({ q, role, status, limit, offset });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/users/:userId
+ * View a user with their login methods and account state
+ */
+router.get(
+  '/users/:userId',
+  userIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const user = await AdminService.getUser(req.params.userId);
+
+      res.json({
+        success: true,
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/users/:userId/ban
+ * Ban a user and end their sessions
+ */
+router.post(
+  '/users/:userId/ban',
+  banUserValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const user = await AdminService.banUser(req.userId, req.params.userId, req.body.reason || null, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'User banned',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/users/:userId/ban
+ * Lift a ban
+ */
+router.delete(
+  '/users/:userId/ban',
+  userIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const user = await AdminService.unbanUser(req.userId, req.params.userId, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'User unbanned',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/users/:userId/verify
+ * Mark a user's email as verified
+ */
+router.post(
+  '/users/:userId/verify',
+  userIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const user = await AdminService.verifyUser(req.userId, req.params.userId, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Email marked as verified',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/users/:userId/verify
+ * Mark a user's email as unverified
+ */
+router.delete(
+  '/users/:userId/verify',
+  userIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const user = await AdminService.unverifyUser(req.userId, req.params.userId, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Email marked as unverified',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/admin/users/:userId/password-reset
+ * Email the user a password reset link
+ */
+router.post(
+  '/users/:userId/password-reset',
+  userIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const user = await AdminService.getUser(req.params.userId);
+      const result = await AuthService.requestPasswordReset(user.email, getRequestContext(req));
+
+      await sendPasswordResetEmail(user.email, user.username, result.resetToken);
+
+      res.json({
+        success: true,
+        message: 'Password reset email sent'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/signups
+ * Daily signup limit and recent signup counts (?days=, default 30)
+ */
+router.get(
+  '/signups',
+  signupHistoryValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const limit = await AdminService.getSignupLimit();
+      const history = await AdminService.getSignupHistory(req.query.days);
+
+      res.json({
+        success: true,
+        ...limit,
+        history
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/signups/limit
+ * Override the daily signup limit (null restores DAILY_SIGNUP_LIMIT)
+ */
+router.put(
+  '/signups/limit',
+  signupLimitValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const limit = await AdminService.setSignupLimit(req.userId, req.body.limit);
+
+      res.json({
+        success: true,
+        message: limit.override === null ? 'Signup limit override removed' : 'Signup limit updated',
+        ...limit
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/security/events
+ * Search security events across users (?userId=, type, outcome, ipAddress, from, to, limit, offset)
+ */
+router.get(
+  '/security/events',
+  adminSecurityEventQueryValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { userId, type, outcome, ipAddress, from, to, limit, offset } = req.query;
+
+      const result = await SecurityEventService.query({ userId, type, outcome, ipAddress, from, to, limit, offset });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/admin/security/retention
+ * How long security events are kept
+ */
+router.get('/security/retention', async (req, res, next) => {
+  try {
+    const retention = await SecurityEventService.getRetention();
+
+    res.json({
+      success: true,
+      ...retention
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/admin/security/retention
+ * Override the retention period in days (null restores SECURITY_EVENT_RETENTION_DAYS)
+ */
+router.put(
+  '/security/retention',
+  securityEventRetentionValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const retention = await SecurityEventService.setRetention(req.userId, req.body.days);
+
+      res.json({
+        success: true,
+        message: retention.override === null ? 'Retention override removed' : 'Retention updated',
+        ...retention
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -1,64 +1,747 @@
 import express from 'express';
 import { AuthService } from '../services/authService.js';
+import { OAuthService } from '../services/oauthService.js';
+import { DiscordService } from '../services/discordService.js';
+import { ExportService } from '../services/exportService.js';
+import { ImportService } from '../services/importService.js';
+import { AccountDeletionService } from '../services/accountDeletionService.js';
+import { LoginLockoutService } from '../services/loginLockoutService.js';
+import { SecurityEventService } from '../services/securityEventService.js';
+import { SessionService } from '../services/sessionService.js';
+import { PasskeyService } from '../services/passkeyService.js';
+import { TwoFactorService } from '../services/twoFactorService.js';
 import { authenticate } from '../middleware/auth.js';
+import { HttpError } from '../utils/errors.js';
+import { getRequestContext, readCookie } from '../utils/request.js';
+import { getPasswordPolicy } from '../utils/passwordPolicy.js';
 import {
   validateRequest,
   registerValidation,
   loginValidation,
+  refreshTokenValidation,
+  oauthCallbackValidation,
   updateProfileValidation,
+  emailChangeValidation,
+  emailChangeTokenValidation,
   changePasswordValidation,
+  setPasswordValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
+  sessionIdParamValidation,
   verifyEmailValidation,
   deleteAccountValidation,
-  syncDataValidation
+  restoreAccountValidation,
+  unlockAccountValidation,
+  securityEventListValidation,
+  syncDataValidation,
+  userDataQueryValidation,
+  dataExportValidation,
+  dataExportIdValidation,
+  dataExportDownloadValidation,
+  listImportValidation,
+  twoFactorCodeValidation,
+  twoFactorVerifyValidation,
+  passwordConfirmValidation,
+  magicLinkRequestValidation,
+  magicLinkVerifyValidation,
+  passkeyCredentialValidation,
+  passkeyNameValidation,
+  passkeyIdParamValidation,
+  passkeyRenameValidation
 } from '../middleware/validate.js';
 import {
   authLimiter,
   passwordResetLimiter,
+  magicLinkLimiter,
   emailVerificationLimiter
 } from '../middleware/rateLimit.js';
 import {
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendMagicLinkEmail,
   sendWelcomeEmail,
-  sendAccountDeletionEmail
+  sendAccountDeletionEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangeNoticeEmail
 } from '../services/emailService.js';
 
-const router = express.Router();
+const router = express.Router();
+
+// Cookie tying an OAuth callback to the client that started the flow
+const OAUTH_COOKIE = 'otazumi_oauth';
+const OAUTH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/discord'
+};
+
+/**
+ * POST /api/auth/register
+ * Register a new user
+ */
+router.post(
+  '/register',
+  authLimiter,
+  registerValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { email, username, password, avatar } = req.body;
+
+      const result = await AuthService.register({
+        email,
+        username,
+        password,
+        avatar
+      }, getRequestContext(req));
+
+      // Send verification email
+      await sendVerificationEmail(
+        result.user.email,
+        result.user.username,
+        result.verificationToken
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please check your email to verify your account.',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/login
+ * Login user
+ */
+router.post(
+  '/login',
+  authLimiter,
+  loginValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      const result = await AuthService.login(email, password, getRequestContext(req));
+
+      if (result.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: result.challengeToken
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/magic-link
+ * Email a one-click sign-in link and a 6-digit code
+ */
+router.post(
+  '/magic-link',
+  magicLinkLimiter,
+  magicLinkRequestValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await AuthService.requestMagicLink(req.body.email, getRequestContext(req));
+
+      // Only sent if the account exists
+      if (result.token) {
+        await sendMagicLinkEmail(
+          result.user.email,
+          result.user.username,
+          result.token,
+          result.code,
+          result.expiresAt
+        );
+      }
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/magic-link/verify
+ * Sign in with the link token, or the email address and code
+ */
+router.post(
+  '/magic-link/verify',
+  authLimiter,
+  magicLinkVerifyValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { token, email, code } = req.body;
+
+      const result = await AuthService.loginWithMagicLink({ token, email, code }, getRequestContext(req));
+
+      if (result.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: result.challengeToken
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/passkeys/login/options
+ * Start a passkey sign-in (options for navigator.credentials.get)
+ */
+router.post('/passkeys/login/options', authLimiter, async (req, res, next) => {
+  try {
+    const options = await PasskeyService.getLoginOptions();
+
+    res.json({
+      success: true,
+      options
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/login
+ * Sign in with a passkey
+ */
+router.post(
+  '/passkeys/login',
+  authLimiter,
+  passkeyCredentialValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await AuthService.loginWithPasskey(req.body.credential, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/verify
+ * Complete login with a TOTP or backup code
+ */
+router.post(
+  '/2fa/verify',
+  authLimiter,
+  twoFactorVerifyValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { challengeToken, code } = req.body;
+
+      const result = await AuthService.verifyTwoFactorLogin(challengeToken, code, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start 2FA enrollment and get the otpauth URI
+ */
+router.post('/2fa/setup', authenticate, async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.setup(req.userId);
+
+    res.json({
+      success: true,
+      secret: result.secret,
+      otpauthUri: result.otpauthUri
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a first code and get backup codes
+ */
+router.post(
+  '/2fa/enable',
+  authenticate,
+  twoFactorCodeValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await TwoFactorService.enable(req.userId, req.body.code, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        backupCodes: result.backupCodes
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disable 2FA (requires password)
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  passwordConfirmValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await TwoFactorService.disable(req.userId, req.body.password, getRequestContext(req));
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/backup-codes
+ * Regenerate backup codes (requires password)
+ */
+router.post(
+  '/2fa/backup-codes',
+  authenticate,
+  passwordConfirmValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await TwoFactorService.regenerateBackupCodes(req.userId, req.body.password, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Backup codes regenerated',
+        backupCodes: result.backupCodes
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/discord
+ * Redirect to Discord authorization (state + PKCE)
+ */
+router.get('/discord', async (req, res, next) => {
+  try {
+    const { state, nonce, codeChallenge } = await OAuthService.createState('discord');
+
+    res.cookie(OAUTH_COOKIE, nonce, { ...OAUTH_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    res.redirect(DiscordService.getAuthorizationUrl(state, codeChallenge));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/discord/link
+ * Get a Discord authorization URL that links Discord to the current account
+ */
+router.get('/discord/link', authenticate, async (req, res, next) => {
+  try {
+    const { state, nonce, codeChallenge } = await OAuthService.createState('discord', req.userId);
+
+    // Open the URL in the same client (cookie jar) that made this request
+    res.cookie(OAUTH_COOKIE, nonce, { ...OAUTH_COOKIE_OPTIONS, maxAge: 10 * 60 * 1000 });
+    res.json({
+      success: true,
+      url: DiscordService.getAuthorizationUrl(state, codeChallenge)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/discord/callback
+ * Exchange Discord authorization code and login, sign up or link
+ */
+router.get(
+  '/discord/callback',
+  authLimiter,
+  (req, res, next) => {
+    // Discord redirects back with ?error= when the user denies access; the
+    // value is never echoed back
+    if (req.query.error) {
+      return next(new HttpError(400, req.query.error === 'access_denied'
+        ? 'Discord authorization was cancelled'
+        : 'Discord authorization failed'));
+    }
+    next();
+  },
+  oauthCallbackValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { code, state } = req.query;
+
+      const oauthState = await OAuthService.consumeState('discord', state, readCookie(req, OAUTH_COOKIE));
+      res.clearCookie(OAUTH_COOKIE, OAUTH_COOKIE_OPTIONS);
+      const discordTokens = await DiscordService.exchangeCode(code, oauthState.codeVerifier);
+      const profile = await DiscordService.fetchProfile(discordTokens.access_token);
+
+      // State created by /discord/link belongs to a logged-in user
+      if (oauthState.userId) {
+        const user = await AuthService.linkDiscord(oauthState.userId, profile, discordTokens, getRequestContext(req));
+
+        return res.json({
+          success: true,
+          message: 'Discord account linked',
+          user
+        });
+      }
+
+      const result = await AuthService.loginWithDiscord(profile, discordTokens, getRequestContext(req));
+
+      if (result.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: 'Two-factor authentication required',
+          twoFactorRequired: true,
+          challengeToken: result.challengeToken
+        });
+      }
+
+      if (result.isNewUser) {
+        await sendWelcomeEmail(result.user.email, result.user.username);
+      }
+
+      res.status(result.isNewUser ? 201 : 200).json({
+        success: true,
+        message: result.isNewUser ? 'Registration successful' : 'Login successful',
+        user: result.user,
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/refresh
+ * Rotate refresh token and issue a new access token
+ */
+router.post(
+  '/refresh',
+  refreshTokenValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const result = await AuthService.refreshSession(refreshToken, getRequestContext(req));
+
+      res.json({
+        success: true,
+        token: result.token,
+        refreshToken: result.refreshToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/logout
+ * Logout user and revoke the current session
+ */
+router.post('/logout', authenticate, async (req, res, next) => {
+  try {
+    await AuthService.logout(req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the devices signed in to the account
+ */
+router.get('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const sessions = await SessionService.listSessions(req.userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.sessionId }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out every device except this one
+ */
+router.delete('/sessions', authenticate, async (req, res, next) => {
+  try {
+    const signedOutSessions = await SessionService.revokeOtherSessions(
+      req.userId,
+      req.sessionId,
+      'remote_logout',
+      getRequestContext(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      signedOutSessions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Sign out one device
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticate,
+  sessionIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      await SessionService.revokeUserSession(req.userId, req.params.sessionId, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Session signed out'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/profile
+ * Get user profile
+ */
+router.get('/profile', authenticate, async (req, res, next) => {
+  try {
+    const user = await AuthService.getUserById(req.userId);
+
+    res.json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/auth/profile
+ * Update user profile
+ */
+router.put(
+  '/profile',
+  authenticate,
+  updateProfileValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const updates = req.body;
+      const user = await AuthService.updateProfile(req.userId, updates, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Profile updated successfully',
+        user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/email/change
+ * Request an email address change (requires password)
+ */
+router.post(
+  '/email/change',
+  authenticate,
+  emailVerificationLimiter,
+  emailChangeValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { newEmail, password } = req.body;
+
+      const result = await AuthService.requestEmailChange(req.userId, newEmail, password, getRequestContext(req));
+
+      // Confirmation to the new address, notice with cancel link to the old one
+      await sendEmailChangeConfirmationEmail(newEmail, result.user.username, result.token);
+      await sendEmailChangeNoticeEmail(
+        result.user.email,
+        result.user.username,
+        newEmail,
+        result.cancelToken
+      );
+
+      res.json({
+        success: true,
+        message: 'Please check your new email address to confirm the change'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/email/confirm
+ * Confirm an email change with the token sent to the new address
+ */
+router.post(
+  '/email/confirm',
+  emailChangeTokenValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await AuthService.confirmEmailChange(req.body.token, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Email changed successfully',
+        user: result.user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/email/cancel
+ * Cancel a pending email change (link sent to the old address)
+ */
+router.post(
+  '/email/cancel',
+  emailChangeTokenValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await AuthService.cancelEmailChange(req.body.token);
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/password/policy
+ * Password requirements, so apps can show them before submitting
+ */
+router.get('/password/policy', (req, res) => {
+  res.json({
+    success: true,
+    policy: getPasswordPolicy()
+  });
+});
 
 /**
- * POST /api/auth/register
- * Register a new user
+ * PUT /api/auth/password
+ * Change password
  */
-router.post(
-  '/register',
-  authLimiter,
-  registerValidation,
+router.put(
+  '/password',
+  authenticate,
+  changePasswordValidation,
   validateRequest,
   async (req, res, next) => {
     try {
-      const { email, username, password, avatar } = req.body;
-
-      const result = await AuthService.register({
-        email,
-        username,
-        password,
-        avatar
-      });
+      const { currentPassword, newPassword, signOutOtherSessions } = req.body;
 
-      // Send verification email
-      await sendVerificationEmail(
-        result.user.email,
-        result.user.username,
-        result.verificationToken
+      const result = await AuthService.changePassword(
+        req.userId,
+        currentPassword,
+        newPassword,
+        getRequestContext(req),
+        { currentSessionId: req.sessionId, signOutOtherSessions }
       );
 
-      res.status(201).json({
+      res.json({
         success: true,
-        message: 'Registration successful. Please check your email to verify your account.',
-        user: result.user,
-        token: result.token
+        message: 'Password changed successfully',
+        signedOutSessions: result.signedOutSessions
       });
     } catch (error) {
       next(error);
@@ -67,25 +750,24 @@ router.post(
 );
 
 /**
- * POST /api/auth/login
- * Login user
+ * POST /api/auth/password
+ * Set a local password on an OAuth-only account
  */
 router.post(
-  '/login',
-  authLimiter,
-  loginValidation,
+  '/password',
+  authenticate,
+  setPasswordValidation,
   validateRequest,
   async (req, res, next) => {
     try {
-      const { email, password } = req.body;
+      const { newPassword } = req.body;
 
-      const result = await AuthService.login(email, password);
+      const user = await AuthService.setPassword(req.userId, newPassword, getRequestContext(req));
 
       res.json({
         success: true,
-        message: 'Login successful',
-        user: result.user,
-        token: result.token
+        message: 'Password set successfully',
+        user
       });
     } catch (error) {
       next(error);
@@ -94,27 +776,58 @@ router.post(
 );
 
 /**
- * POST /api/auth/logout
- * Logout user (client-side token removal)
+ * GET /api/auth/security/events
+ * The signed-in user's security events, newest first (?type=, outcome, limit, offset)
  */
-router.post('/logout', authenticate, async (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.get(
+  '/security/events',
+  authenticate,
+  securityEventListValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { type, outcome, limit, offset } = req.query;
+
+      const result = await SecurityEventService.getUserEvents(req.userId, { type, outcome, limit, offset });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/passkeys
+ * List the account's passkeys
+ */
+router.get('/passkeys', authenticate, async (req, res, next) => {
+  try {
+    const passkeys = await PasskeyService.listPasskeys(req.userId);
+
+    res.json({
+      success: true,
+      passkeys
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 /**
- * GET /api/auth/profile
- * Get user profile
+ * POST /api/auth/passkeys/register/options
+ * Start adding a passkey (options for navigator.credentials.create)
  */
-router.get('/profile', authenticate, async (req, res, next) => {
+router.post('/passkeys/register/options', authenticate, async (req, res, next) => {
   try {
-    const user = await AuthService.getUserById(req.userId);
+    const options = await PasskeyService.getRegistrationOptions(req.userId);
 
     res.json({
       success: true,
-      user
+      options
     });
   } catch (error) {
     next(error);
@@ -122,23 +835,25 @@ router.get('/profile', authenticate, async (req, res, next) => {
 });
 
 /**
- * PUT /api/auth/profile
- * Update user profile
+ * POST /api/auth/passkeys/register
+ * Finish adding a passkey
  */
-router.put(
-  '/profile',
+router.post(
+  '/passkeys/register',
   authenticate,
-  updateProfileValidation,
+  passkeyCredentialValidation,
+  passkeyNameValidation,
   validateRequest,
   async (req, res, next) => {
     try {
-      const updates = req.body;
-      const user = await AuthService.updateProfile(req.userId, updates);
+      const { credential, name } = req.body;
 
-      res.json({
+      const passkey = await PasskeyService.register(req.userId, credential, name, getRequestContext(req));
+
+      res.status(201).json({
         success: true,
-        message: 'Profile updated successfully',
-        user
+        message: 'Passkey added',
+        passkey
       });
     } catch (error) {
       next(error);
@@ -147,27 +862,45 @@ router.put(
 );
 
 /**
- * PUT /api/auth/password
- * Change password
+ * PATCH /api/auth/passkeys/:passkeyId
+ * Rename a passkey
  */
-router.put(
-  '/password',
+router.patch(
+  '/passkeys/:passkeyId',
   authenticate,
-  changePasswordValidation,
+  passkeyRenameValidation,
   validateRequest,
   async (req, res, next) => {
     try {
-      const { currentPassword, newPassword } = req.body;
+      const passkey = await PasskeyService.renamePasskey(req.userId, req.params.passkeyId, req.body.name);
 
-      await AuthService.changePassword(
-        req.userId,
-        currentPassword,
-        newPassword
-      );
+      res.json({
+        success: true,
+        message: 'Passkey renamed',
+        passkey
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/passkeys/:passkeyId
+ * Remove a passkey
+ */
+router.delete(
+  '/passkeys/:passkeyId',
+  authenticate,
+  passkeyIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      await PasskeyService.removePasskey(req.userId, req.params.passkeyId, getRequestContext(req));
 
       res.json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Passkey removed'
       });
     } catch (error) {
       next(error);
@@ -175,6 +908,41 @@ router.put(
   }
 );
 
+/**
+ * GET /api/auth/identities
+ * List login methods linked to the account
+ */
+router.get('/identities', authenticate, async (req, res, next) => {
+  try {
+    const identities = await AuthService.getIdentities(req.userId);
+
+    res.json({
+      success: true,
+      identities
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/identities/:provider
+ * Unlink an external login method (e.g. discord)
+ */
+router.delete('/identities/:provider', authenticate, async (req, res, next) => {
+  try {
+    const user = await AuthService.unlinkIdentity(req.userId, req.params.provider, getRequestContext(req));
+
+    res.json({
+      success: true,
+      message: 'Account unlinked successfully',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/auth/forgot-password
  * Request password reset
@@ -188,7 +956,7 @@ router.post(
     try {
       const { email } = req.body;
 
-      const result = await AuthService.requestPasswordReset(email);
+      const result = await AuthService.requestPasswordReset(email, getRequestContext(req));
 
       // Send password reset email if user exists
       if (result.resetToken) {
@@ -220,13 +988,14 @@ router.post(
   validateRequest,
   async (req, res, next) => {
     try {
-      const { token, newPassword } = req.body;
+      const { token, newPassword, signOutOtherSessions } = req.body;
 
-      await AuthService.resetPassword(token, newPassword);
+      const result = await AuthService.resetPassword(token, newPassword, getRequestContext(req), { signOutOtherSessions });
 
       res.json({
         success: true,
-        message: 'Password reset successful'
+        message: 'Password reset successful',
+        signedOutSessions: result.signedOutSessions
       });
     } catch (error) {
       next(error);
@@ -246,11 +1015,10 @@ router.post(
     try {
       const { token } = req.body;
 
-      await AuthService.verifyEmail(token);
+      const result = await AuthService.verifyEmail(token, getRequestContext(req));
 
       // Send welcome email
-      const decoded = await import('../utils/jwt.js');
-      // Note: In production, extract user info from token or fetch from DB
+      await sendWelcomeEmail(result.user.email, result.user.username);
 
       res.json({
         success: true,
@@ -293,7 +1061,7 @@ router.post(
 
 /**
  * DELETE /api/auth/account
- * Delete user account
+ * Schedule account deletion (restorable during the grace period)
  */
 router.delete(
   '/account',
@@ -306,14 +1074,59 @@ router.delete(
 
       const user = await AuthService.getUserById(req.userId);
 
-      await AuthService.deleteAccount(req.userId, password);
+      const result = await AuthService.deleteAccount(req.userId, password, getRequestContext(req), req.sessionId);
+
+      // Send the restore link
+      await sendAccountDeletionEmail(user.email, user.username, result.restoreToken, result.deletionScheduledAt);
+
+      res.json({
+        success: true,
+        message: 'Account scheduled for deletion. Use the link in your email to restore it.',
+        deletionScheduledAt: result.deletionScheduledAt
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/account/restore
+ * Cancel a pending account deletion
+ */
+router.post(
+  '/account/restore',
+  restoreAccountValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      await AccountDeletionService.restoreAccount(req.body.token, getRequestContext(req));
+
+      res.json({
+        success: true,
+        message: 'Account restored. You can log in again.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      // Send account deletion confirmation
-      await sendAccountDeletionEmail(user.email, user.username);
+/**
+ * POST /api/auth/account/unlock
+ * Lift a failed-login lock with the emailed token
+ */
+router.post(
+  '/account/unlock',
+  unlockAccountValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      await LoginLockoutService.unlock(req.body.token, getRequestContext(req));
 
       res.json({
         success: true,
-        message: 'Account deleted successfully'
+        message: 'Account unlocked. You can log in again.'
       });
     } catch (error) {
       next(error);
@@ -339,7 +1152,12 @@ router.post(
       res.json({
         success: true,
         message: 'Data synced successfully',
-        synced: result.synced
+        mode: result.mode,
+        synced: result.synced,
+        conflicts: result.conflicts,
+        rejected: result.rejected,
+        changes: result.changes,
+        syncToken: result.syncToken
       });
     } catch (error) {
       next(error);
@@ -349,19 +1167,140 @@ router.post(
 
 /**
  * GET /api/auth/data
- * Fetch user data
+ * Fetch user data, optionally filtered, sorted and paginated
+ */
+router.get(
+  '/data',
+  authenticate,
+  userDataQueryValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const data = await AuthService.fetchUserData(req.userId, req.query);
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/data/summary
+ * Item counts only
  */
-router.get('/data', authenticate, async (req, res, next) => {
+router.get('/data/summary', authenticate, async (req, res, next) => {
   try {
-    const data = await AuthService.fetchUserData(req.userId);
+    const summary = await AuthService.fetchUserDataSummary(req.userId);
 
     res.json({
       success: true,
-      data
+      summary
     });
   } catch (error) {
     next(error);
   }
 });
 
+/**
+ * POST /api/auth/export
+ * Export account data (json, csv per collection, or mal watchlist XML)
+ * The download token is only returned here.
+ */
+router.post(
+  '/export',
+  authenticate,
+  dataExportValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { export: dataExport, downloadToken } = await ExportService.requestExport(req.userId, req.body);
+
+      res.status(dataExport.status === 'ready' ? 201 : 202).json({
+        success: true,
+        message: dataExport.status === 'ready' ? 'Export ready' : 'Export started',
+        export: dataExport,
+        downloadToken
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/export/download?token=
+ * Download a ready export (the token is the credential)
+ */
+router.get(
+  '/export/download',
+  dataExportDownloadValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const file = await ExportService.download(req.query.token);
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.fileName}"`,
+        'Cache-Control': 'no-store'
+      });
+      res.send(file.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/auth/export/:exportId
+ * Export job status
+ */
+router.get(
+  '/export/:exportId',
+  authenticate,
+  dataExportIdValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const dataExport = await ExportService.getExport(req.userId, req.params.exportId);
+
+      res.json({
+        success: true,
+        export: dataExport
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/auth/import
+ * Import a MyAnimeList XML or AniList JSON export into the watchlist and history
+ * Set dryRun to preview without writing anything.
+ */
+router.post(
+  '/import',
+  authenticate,
+  listImportValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const result = await ImportService.importList(req.userId, req.body);
+
+      res.json({
+        success: true,
+        message: result.dryRun ? 'Import preview' : 'Import complete',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 export default router;
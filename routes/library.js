@@ -0,0 +1,274 @@
+import express from 'express';
+import { LibraryService } from '../services/libraryService.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  validateRequest,
+  animeIdParamValidation,
+  historyEntryParamValidation,
+  favoriteValidation,
+  watchlistItemValidation,
+  updateWatchlistItemValidation,
+  historyEntryValidation
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Every library route belongs to the signed-in user
+router.use(authenticate);
+
+/**
+ * GET /api/library/favorites
+ * List favorites
+ */
+router.get('/favorites', async (req, res, next) => {
+  try {
+    const favorites = await LibraryService.list(req.userId, 'favorites');
+
+    res.json({
+      success: true,
+      favorites
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/library/favorites
+ * Add an anime to favorites
+ */
+router.post(
+  '/favorites',
+  favoriteValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { item, created } = await LibraryService.addFavorite(req.userId, req.body);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Added to favorites' : 'Favorite updated',
+        item
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/library/favorites/:animeId
+ * Remove an anime from favorites
+ */
+router.delete(
+  '/favorites/:animeId',
+  animeIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      await LibraryService.removeItems(req.userId, 'favorites', { animeId: req.params.animeId });
+
+      res.json({
+        success: true,
+        message: 'Removed from favorites'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/library/watchlist
+ * List watchlist entries
+ */
+router.get('/watchlist', async (req, res, next) => {
+  try {
+    const watchlist = await LibraryService.list(req.userId, 'watchlist');
+
+    res.json({
+      success: true,
+      watchlist
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/library/watchlist
+ * Add an anime to the watchlist (replaces an existing entry)
+ */
+router.post(
+  '/watchlist',
+  watchlistItemValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { item, created } = await LibraryService.addToWatchlist(req.userId, req.body);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? 'Added to watchlist' : 'Watchlist entry updated',
+        item
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/library/watchlist/:animeId
+ * Get a watchlist entry
+ */
+router.get(
+  '/watchlist/:animeId',
+  animeIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const item = await LibraryService.getItem(req.userId, 'watchlist', { animeId: req.params.animeId });
+
+      res.json({
+        success: true,
+        item
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/library/watchlist/:animeId
+ * Update a watchlist entry's status, title or poster
+ */
+router.patch(
+  '/watchlist/:animeId',
+  updateWatchlistItemValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const item = await LibraryService.updateWatchlistItem(req.userId, req.params.animeId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Watchlist entry updated',
+        item
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/library/watchlist/:animeId
+ * Remove an anime from the watchlist
+ */
+router.delete(
+  '/watchlist/:animeId',
+  animeIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      await LibraryService.removeItems(req.userId, 'watchlist', { animeId: req.params.animeId });
+
+      res.json({
+        success: true,
+        message: 'Removed from watchlist'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/library/history
+ * List watch history, optionally for one anime (?animeId=)
+ */
+router.get('/history', async (req, res, next) => {
+  try {
+    const animeId = typeof req.query.animeId === 'string' ? req.query.animeId : undefined;
+    const history = await LibraryService.list(req.userId, 'watchHistory', { animeId });
+
+    res.json({
+      success: true,
+      history
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/library/history
+ * Record progress on an episode (one entry per episode)
+ */
+router.post(
+  '/history',
+  historyEntryValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { item, created } = await LibraryService.recordHistory(req.userId, req.body);
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        message: 'Watch history updated',
+        item
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/library/history/:animeId/:episodeId
+ * Remove one episode from watch history
+ */
+router.delete(
+  '/history/:animeId/:episodeId',
+  historyEntryParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      await LibraryService.removeItems(req.userId, 'watchHistory', req.params);
+
+      res.json({
+        success: true,
+        message: 'Removed from watch history'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/library/history/:animeId
+ * Remove every episode of an anime from watch history
+ */
+router.delete(
+  '/history/:animeId',
+  animeIdParamValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const removed = await LibraryService.removeItems(req.userId, 'watchHistory', { animeId: req.params.animeId });
+
+      res.json({
+        success: true,
+        message: 'Removed from watch history',
+        removed
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,231 @@
+import express from 'express';
+import { WatchPartyService } from '../services/watchPartyService.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  validateRequest,
+  roomCodeValidation,
+  createWatchPartyValidation,
+  updateWatchPartyValidation,
+  paginationValidation
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/watch-parties
+ * List public parties that have not ended
+ */
+router.get(
+  '/',
+  paginationValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const { limit, offset } = req.query;
+
+      const parties = await WatchPartyService.listPublicParties({ limit, offset });
+
+      res.json({
+        success: true,
+        parties
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/watch-parties
+ * Create a party (the creator becomes host)
+ */
+router.post(
+  '/',
+  authenticate,
+  createWatchPartyValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const party = await WatchPartyService.createParty(req.userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Watch party created',
+        party
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/watch-parties/:roomCode
+ * Get party details
+ */
+router.get(
+  '/:roomCode',
+  authenticate,
+  roomCodeValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const party = await WatchPartyService.getParty(req.params.roomCode);
+
+      res.json({
+        success: true,
+        party
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/watch-parties/:roomCode
+ * Change episode or settings (host only)
+ */
+router.patch(
+  '/:roomCode',
+  authenticate,
+  roomCodeValidation,
+  updateWatchPartyValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const party = await WatchPartyService.updateParty(req.params.roomCode, req.userId, req.body);
+
+      res.json({
+        success: true,
+        message: 'Watch party updated',
+        party
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/watch-parties/:roomCode/join
+ * Join a party by room code
+ */
+router.post(
+  '/:roomCode/join',
+  authenticate,
+  roomCodeValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const party = await WatchPartyService.joinParty(req.params.roomCode, req.userId);
+
+      res.json({
+        success: true,
+        message: 'Joined watch party',
+        party
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/watch-parties/:roomCode/leave
+ * Leave a party (ends it when the host leaves)
+ */
+router.post(
+  '/:roomCode/leave',
+  authenticate,
+  roomCodeValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const party = await WatchPartyService.leaveParty(req.params.roomCode, req.userId);
+
+      res.json({
+        success: true,
+        message: 'Left watch party',
+        party
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/watch-parties/:roomCode/participants
+ * List participants (?all=true includes those who left)
+ */
+router.get(
+  '/:roomCode/participants',
+  authenticate,
+  roomCodeValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const participants = await WatchPartyService.listParticipants(req.params.roomCode, {
+        includeInactive: req.query.all === 'true'
+      });
+
+      res.json({
+        success: true,
+        participants
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/watch-parties/:roomCode/start
+ * Start the party (host only)
+ */
+router.post(
+  '/:roomCode/start',
+  authenticate,
+  roomCodeValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const party = await WatchPartyService.startParty(req.params.roomCode, req.userId);
+
+      res.json({
+        success: true,
+        message: 'Watch party started',
+        party
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/watch-parties/:roomCode/end
+ * End the party for everyone (host only)
+ */
+router.post(
+  '/:roomCode/end',
+  authenticate,
+  roomCodeValidation,
+  validateRequest,
+  async (req, res, next) => {
+    try {
+      const party = await WatchPartyService.endParty(req.params.roomCode, req.userId);
+
+      res.json({
+        success: true,
+        message: 'Watch party ended',
+        party
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
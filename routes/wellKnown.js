@@ -0,0 +1,22 @@
+import express from 'express';
+import { SigningKeyService } from '../services/signingKeyService.js';
+
+const router = express.Router();
+
+/**
+ * GET /.well-known/jwks.json
+ * Public keys for verifying access tokens (RFC 7517)
+ */
+router.get('/jwks.json', async (req, res, next) => {
+  try {
+    const jwks = await SigningKeyService.getJwks();
+
+    // Verifiers refetch when they see an unknown kid, so a short cache is enough
+    res.set('Cache-Control', 'public, max-age=600');
+    res.json(jwks);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
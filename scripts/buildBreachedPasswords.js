@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Build data/breached-passwords.txt from plain-text password lists
+ *
+ *   npm run build-breached-passwords -- list.txt [more.txt ...]
+ *
+ * Each input has one password per line. Passwords are stored only as SHA-1
+ * hashes split into a 5-character prefix and the rest, so lookups work by
+ * prefix like the Pwned Passwords range API. Entries already in the corpus
+ * are kept.
+ */
+
+const OUTPUT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'breached-passwords.txt');
+
+const inputs = process.argv.slice(2);
+
+if (inputs.length === 0) {
+  console.error('Usage: npm run build-breached-passwords -- <list.txt> [more.txt ...]');
+  process.exit(1);
+}
+
+const entries = new Set(
+  fs.existsSync(OUTPUT)
+    ? fs.readFileSync(OUTPUT, 'utf8').split('\n').filter(Boolean)
+    : []
+);
+const before = entries.size;
+
+for (const input of inputs) {
+  for (const password of fs.readFileSync(input, 'utf8').split(/\r?\n/)) {
+    if (!password) {
+      continue;
+    }
+    const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+    entries.add(`${hash.slice(0, 5)}:${hash.slice(5)}`);
+  }
+}
+
+fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+fs.writeFileSync(OUTPUT, [...entries].sort().join('\n') + '\n');
+
+console.log(`✅ ${entries.size} breached password hashes (${entries.size - before} new)`);
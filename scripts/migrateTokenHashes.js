@@ -0,0 +1,117 @@
+import 'dotenv/config';
+import { db } from '../db/index.js';
+import {
+  users,
+  passwordResetTokens,
+  emailVerificationTokens,
+  emailChangeRequests,
+  magicLinkTokens,
+  twoFactorBackupCodes,
+  sessions,
+  refreshTokens,
+  webauthnChallenges,
+  dataExports
+} from '../db/schema.js';
+import { gt, isNotNull, isNull } from 'drizzle-orm';
+import { AccountDeletionService } from '../services/accountDeletionService.js';
+import { SettingsService } from '../services/settingsService.js';
+import { sendAccountDeletionEmail } from '../services/emailService.js';
+
+/**
+ * Move stored single-use tokens and codes to keyed hashes
+ *
+ *   npm run migrate-token-hashes
+ *
+ * Run once when upgrading, before pushing the schema. Plaintext and SHA-256
+ * values cannot be turned into keyed hashes without the originals, so:
+ * - outstanding verification, password reset, email change, sign-in and
+ *   unlock links are invalidated (users request new ones)
+ * - accounts pending deletion are emailed a new restore link
+ * - backup codes are deleted (users sign in with their authenticator app
+ *   and regenerate them)
+ * - sessions are revoked (users sign in again), and pending passkey
+ *   ceremonies and data exports are deleted
+ * Each step is recorded in app_settings, so running it again cannot wipe
+ * values that are already keyed, and installs that ran the first step
+ * before refresh tokens moved only run the second.
+ */
+
+const EMAIL_TOKENS_MARKER = 'tokenHashMigration';
+const SESSION_TOKENS_MARKER = 'tokenHashMigrationSessions';
+
+async function migrateEmailTokens() {
+  await db.delete(passwordResetTokens);
+  await db.delete(emailVerificationTokens);
+  await db.delete(emailChangeRequests);
+  await db.delete(magicLinkTokens);
+  await db.update(users).set({ unlockTokenHash: null }).where(isNotNull(users.unlockTokenHash));
+
+  console.log('✅ Invalidated outstanding email links');
+
+  const pending = await db
+    .select({ id: users.id })
+    .from(users)
+    .where(gt(users.deletionScheduledAt, new Date()));
+
+  let emailed = 0;
+
+  for (const { id } of pending) {
+    const renewed = await AccountDeletionService.renewRestoreToken(id);
+
+    if (!renewed) {
+      continue;
+    }
+
+    try {
+      await sendAccountDeletionEmail(renewed.email, renewed.username, renewed.restoreToken, renewed.deletionScheduledAt);
+      emailed++;
+    } catch (error) {
+      console.error(`Could not email a new restore link to user ${id}:`, error);
+    }
+  }
+
+  console.log(`✅ Emailed ${emailed} of ${pending.length} new restore link(s)`);
+
+  const deleted = await db
+    .delete(twoFactorBackupCodes)
+    .returning({ userId: twoFactorBackupCodes.userId });
+
+  console.log(`✅ Deleted backup codes of ${new Set(deleted.map(code => code.userId)).size} user(s)`);
+}
+
+async function migrateSessionTokens() {
+  const revoked = await db
+    .update(sessions)
+    .set({ revokedAt: new Date(), revokedReason: 'token_hash_migration' })
+    .where(isNull(sessions.revokedAt))
+    .returning({ id: sessions.id });
+
+  await db.delete(refreshTokens);
+
+  console.log(`✅ Revoked ${revoked.length} session(s)`);
+
+  await db.delete(webauthnChallenges);
+  await db.delete(dataExports);
+
+  console.log('✅ Deleted pending passkey challenges and data exports');
+}
+
+const emailTokensMigratedAt = await SettingsService.get(EMAIL_TOKENS_MARKER);
+
+if (emailTokensMigratedAt) {
+  console.log(`Email tokens and backup codes were already migrated on ${emailTokensMigratedAt}`);
+} else {
+  await migrateEmailTokens();
+  await SettingsService.set(EMAIL_TOKENS_MARKER, new Date().toISOString());
+}
+
+const sessionTokensMigratedAt = await SettingsService.get(SESSION_TOKENS_MARKER);
+
+if (sessionTokensMigratedAt) {
+  console.log(`Refresh tokens, passkey challenges and exports were already migrated on ${sessionTokensMigratedAt}`);
+} else {
+  await migrateSessionTokens();
+  await SettingsService.set(SESSION_TOKENS_MARKER, new Date().toISOString());
+}
+
+process.exit(0);
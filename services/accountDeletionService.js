@@ -0,0 +1,192 @@
+import { db } from '../db/index.js';
+import {
+  users,
+  favorites,
+  watchlist,
+  watchHistory,
+  passwordResetTokens,
+  emailVerificationTokens,
+  emailChangeRequests,
+  twoFactorBackupCodes,
+  twoFactorChallenges,
+  magicLinkTokens,
+  passkeys,
+  webauthnChallenges,
+  oauthStates,
+  dataExports,
+  securityEvents,
+  sessions,
+  refreshTokens,
+  watchParties,
+  watchPartyParticipants
+} from '../db/schema.js';
+import { eq, and, gt, lte, inArray, isNotNull } from 'drizzle-orm';
+import { SessionService } from './sessionService.js';
+import { SecurityEventService } from './securityEventService.js';
+import { generateSecureToken, hashToken } from '../utils/crypto.js';
+import { HttpError } from '../utils/errors.js';
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+
+/**
+ * Tables holding a user's rows, children before parents
+ * The foreign keys cascade, but databases created before the cascades were
+ * added still need the explicit order.
+ */
+const USER_TABLES = [
+  watchHistory,
+  favorites,
+  watchlist,
+  passwordResetTokens,
+  emailVerificationTokens,
+  emailChangeRequests,
+  twoFactorBackupCodes,
+  twoFactorChallenges,
+  magicLinkTokens,
+  passkeys,
+  webauthnChallenges,
+  oauthStates,
+  dataExports,
+  watchPartyParticipants
+];
+
+// Security events whose details name the account's email addresses
+const EMAIL_EVENT_TYPES = ['email_change_request', 'email_change'];
+
+/**
+ * AccountDeletionService - Scheduled account deletion with a restore window
+ *
+ * Deleting an account only schedules it: sessions are revoked, login is
+ * blocked and a restore link is emailed. Accounts still pending when the
+ * grace period ends are purged with all of their data.
+ */
+export class AccountDeletionService {
+  /**
+   * Schedule a user's account for deletion
+   * @returns {Promise<{ restoreToken: string, deletionScheduledAt: Date }>}
+   */
+  static async scheduleDeletion(userId) {
+    const restoreToken = generateSecureToken();
+    const now = new Date();
+    const deletionScheduledAt = new Date(now.getTime() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+    await db
+      .update(users)
+      .set({
+        deletionRequestedAt: now,
+        deletionScheduledAt,
+        restoreTokenHash: hashToken(restoreToken),
+        updatedAt: now
+      })
+      .where(eq(users.id, userId));
+
+    await SessionService.revokeAllSessions(userId, 'account_deleted');
+
+    return { restoreToken, deletionScheduledAt };
+  }
+
+  /**
+   * Replace the restore token of a pending deletion (the old link stops working)
+   * @returns {Promise<{ restoreToken: string, email: string, username: string, deletionScheduledAt: Date }|null>}
+   *   Null if the account is not pending deletion
+   */
+  static async renewRestoreToken(userId) {
+    const restoreToken = generateSecureToken();
+
+    const [user] = await db
+      .update(users)
+      .set({ restoreTokenHash: hashToken(restoreToken), updatedAt: new Date() })
+      .where(and(eq(users.id, userId), gt(users.deletionScheduledAt, new Date())))
+      .returning({ email: users.email, username: users.username, deletionScheduledAt: users.deletionScheduledAt });
+
+    return user ? { restoreToken, ...user } : null;
+  }
+
+  /**
+   * Cancel a pending deletion with the emailed restore token
+   */
+  static async restoreAccount(restoreToken, context = {}) {
+    const [user] = await db
+      .update(users)
+      .set({
+        deletionRequestedAt: null,
+        deletionScheduledAt: null,
+        restoreTokenHash: null,
+        updatedAt: new Date()
+      })
+      .where(and(eq(users.restoreTokenHash, hashToken(restoreToken)), gt(users.deletionScheduledAt, new Date())))
+      .returning({ id: users.id, email: users.email, username: users.username });
+
+    if (!user) {
+      throw new HttpError(400, 'Invalid or expired restore token');
+    }
+
+    await SecurityEventService.record({ userId: user.id, type: 'account_restore', context });
+
+    return user;
+  }
+
+  /**
+   * Permanently remove a user and everything that belongs to them
+   */
+  static async purgeAccount(userId) {
+    const userSessions = await db
+      .select({ id: sessions.id })
+      .from(sessions)
+      .where(eq(sessions.userId, userId));
+
+    if (userSessions.length > 0) {
+      await db.delete(refreshTokens).where(inArray(refreshTokens.sessionId, userSessions.map(session => session.id)));
+      await db.delete(sessions).where(eq(sessions.userId, userId));
+    }
+
+    for (const table of USER_TABLES) {
+      await db.delete(table).where(eq(table.userId, userId));
+    }
+
+    // The audit log outlives the account, detached from it, until the
+    // security event retention period removes it
+    await db
+      .update(securityEvents)
+      .set({ details: null })
+      .where(and(eq(securityEvents.userId, userId), inArray(securityEvents.type, EMAIL_EVENT_TYPES)));
+    await db.update(securityEvents).set({ userId: null }).where(eq(securityEvents.userId, userId));
+
+    // Parties the user hosted, with everyone's membership in them
+    const hostedParties = await db
+      .select({ id: watchParties.id })
+      .from(watchParties)
+      .where(eq(watchParties.hostId, userId));
+
+    if (hostedParties.length > 0) {
+      const partyIds = hostedParties.map(party => party.id);
+      await db.delete(watchPartyParticipants).where(inArray(watchPartyParticipants.partyId, partyIds));
+      await db.delete(watchParties).where(inArray(watchParties.id, partyIds));
+    }
+
+    await db.delete(users).where(eq(users.id, userId));
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   * @returns {Promise<number>} Number of accounts purged
+   */
+  static async purgeDueAccounts() {
+    const dueUsers = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(and(isNotNull(users.deletionScheduledAt), lte(users.deletionScheduledAt, new Date())));
+
+    let purged = 0;
+    for (const { id } of dueUsers) {
+      try {
+        await this.purgeAccount(id);
+        purged++;
+      } catch (error) {
+        console.error(`Error purging account ${id}:`, error);
+      }
+    }
+
+    return purged;
+  }
+}
@@ -0,0 +1,237 @@
+import { db } from '../db/index.js';
+import { users, sessions, emailVerificationTokens, dailySignups } from '../db/schema.js';
+import { eq, and, or, gt, gte, ilike, isNull, isNotNull, desc, count } from 'drizzle-orm';
+import { SessionService } from './sessionService.js';
+import { SettingsService } from './settingsService.js';
+import { SecurityEventService } from './securityEventService.js';
+import { sanitizeUser } from '../utils/user.js';
+import { HttpError } from '../utils/errors.js';
+
+export const USER_ROLES = ['user', 'admin'];
+export const USER_STATUSES = ['active', 'banned', 'pending_deletion', 'unverified'];
+
+/**
+ * Conditions for the account status filter
+ */
+const STATUS_CONDITIONS = {
+  active: () => and(isNull(users.bannedAt), isNull(users.deletionScheduledAt)),
+  banned: () => isNotNull(users.bannedAt),
+  pending_deletion: () => isNotNull(users.deletionScheduledAt),
+  unverified: () => eq(users.isVerified, false)
+};
+
+/**
+ * Escape LIKE wildcards so search terms match literally
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Fields shown in user search results
+ */
+function summarizeUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    role: user.role,
+    isVerified: user.isVerified,
+    authProviders: user.authProviders,
+    bannedAt: user.bannedAt,
+    deletionScheduledAt: user.deletionScheduledAt,
+    createdAt: user.createdAt
+  };
+}
+
+async function findUser(userId) {
+  const [user] = await db
+    .select()
+    .from(users)
+    .where(eq(users.id, userId))
+    .limit(1);
+
+  if (!user) {
+    throw new HttpError(404, 'User not found');
+  }
+
+  return user;
+}
+
+/**
+ * AdminService - User moderation and signup controls for admins
+ */
+export class AdminService {
+  /**
+   * Search users by email or username
+   * @param {object} options - { q, role, status, limit, offset }
+   * @returns {Promise<{ users: object[], total: number }>}
+   */
+  static async searchUsers({ q, role, status, limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+
+    if (q) {
+      const pattern = `%${escapeLike(q)}%`;
+      conditions.push(or(ilike(users.email, pattern), ilike(users.username, pattern)));
+    }
+    if (role) {
+      conditions.push(eq(users.role, role));
+    }
+    if (status) {
+      conditions.push(STATUS_CONDITIONS[status]());
+    }
+
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const rows = await db
+      .select()
+      .from(users)
+      .where(where)
+      .orderBy(desc(users.createdAt), desc(users.id))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ value: total }] = await db
+      .select({ value: count() })
+      .from(users)
+      .where(where);
+
+    return { users: rows.map(summarizeUser), total: Number(total) };
+  }
+
+  /**
+   * Full view of one user: profile, login methods, verification and moderation state
+   */
+  static async getUser(userId) {
+    const user = await findUser(userId);
+
+    const [{ value: activeSessions }] = await db
+      .select({ value: count() })
+      .from(sessions)
+      .where(and(eq(sessions.userId, userId), isNull(sessions.revokedAt), gt(sessions.expiresAt, new Date())));
+
+    return {
+      ...sanitizeUser(user),
+      identities: {
+        local: Boolean(user.password),
+        discord: user.discordId
+          ? { id: user.discordId, username: user.discordUsername }
+          : null
+      },
+      activeSessions: Number(activeSessions)
+    };
+  }
+
+  /**
+   * Ban a user and sign them out everywhere
+   */
+  static async banUser(adminId, userId, reason = null, context = {}) {
+    if (adminId === userId) {
+      throw new HttpError(400, 'You cannot ban yourself');
+    }
+
+    const user = await findUser(userId);
+
+    if (user.role === 'admin') {
+      throw new HttpError(403, 'Admins cannot be banned');
+    }
+
+    await db
+      .update(users)
+      .set({ bannedAt: new Date(), banReason: reason, updatedAt: new Date() })
+      .where(eq(users.id, userId));
+
+    await SessionService.revokeAllSessions(userId, 'banned');
+
+    await SecurityEventService.record({ userId, type: 'account_ban', context, details: { adminId, reason } });
+
+    return this.getUser(userId);
+  }
+
+  /**
+   * Lift a ban
+   */
+  static async unbanUser(adminId, userId, context = {}) {
+    await findUser(userId);
+
+    await db
+      .update(users)
+      .set({ bannedAt: null, banReason: null, updatedAt: new Date() })
+      .where(eq(users.id, userId));
+
+    await SecurityEventService.record({ userId, type: 'account_unban', context, details: { adminId } });
+
+    return this.getUser(userId);
+  }
+
+  /**
+   * Mark a user's email as verified and retire their pending verification links
+   */
+  static async verifyUser(adminId, userId, context = {}) {
+    await findUser(userId);
+
+    await db
+      .update(users)
+      .set({ isVerified: true, updatedAt: new Date() })
+      .where(eq(users.id, userId));
+
+    await db
+      .update(emailVerificationTokens)
+      .set({ used: true })
+      .where(eq(emailVerificationTokens.userId, userId));
+
+    await SecurityEventService.record({ userId, type: 'account_verify', context, details: { adminId } });
+
+    return this.getUser(userId);
+  }
+
+  /**
+   * Mark a user's email as unverified again
+   */
+  static async unverifyUser(adminId, userId, context = {}) {
+    await findUser(userId);
+
+    await db
+      .update(users)
+      .set({ isVerified: false, updatedAt: new Date() })
+      .where(eq(users.id, userId));
+
+    await SecurityEventService.record({ userId, type: 'account_unverify', context, details: { adminId } });
+
+    return this.getUser(userId);
+  }
+
+  /**
+   * Current daily signup limit and where it comes from
+   */
+  static async getSignupLimit() {
+    const override = await SettingsService.get('dailySignupLimit');
+
+    return {
+      limit: await SettingsService.getDailySignupLimit(),
+      override,
+      default: parseInt(process.env.DAILY_SIGNUP_LIMIT || '300')
+    };
+  }
+
+  /**
+   * Override the daily signup limit; null goes back to DAILY_SIGNUP_LIMIT
+   */
+  static async setSignupLimit(adminId, limit) {
+    await SettingsService.set('dailySignupLimit', limit, adminId);
+    return this.getSignupLimit();
+  }
+
+  /**
+   * Signup counts for the last `days` days, newest first
+   */
+  static async getSignupHistory(days = 30) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    return db
+      .select({ date: dailySignups.date, count: dailySignups.count })
+      .from(dailySignups)
+      .where(gte(dailySignups.date, since))
+      .orderBy(desc(dailySignups.date));
+  }
+}
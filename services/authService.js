@@ -1,9 +1,23 @@
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { db } from '../db/index.js';
-import { users, emailVerificationTokens, passwordResetTokens, favorites, watchlist, watchHistory, dailySignups } from '../db/schema.js';
+import { users, emailVerificationTokens, passwordResetTokens, emailChangeRequests, dailySignups } from '../db/schema.js';
 import { eq, and, gt } from 'drizzle-orm';
+import { SessionService } from './sessionService.js';
+import { TwoFactorService } from './twoFactorService.js';
+import { AccountDeletionService } from './accountDeletionService.js';
+import { SettingsService } from './settingsService.js';
+import { LoginLockoutService } from './loginLockoutService.js';
+import { SecurityEventService } from './securityEventService.js';
+import { MagicLinkService } from './magicLinkService.js';
+import { PasskeyService } from './passkeyService.js';
+import { SyncService } from './syncService.js';
+import { hashPassword } from './passwordHashers.js';
+import { LibraryService } from './libraryService.js';
+import { hashToken } from '../utils/crypto.js';
+import { createAccessToken, verifyTwoFactorChallenge } from '../utils/jwt.js';
+import { sanitizeUser } from '../utils/user.js';
+import { checkPasswordPolicy } from '../utils/passwordPolicy.js';
+import { HttpError } from '../utils/errors.js';
 
 /**
  * Generate a secure random token
@@ -13,14 +27,79 @@ function generateSecureToken() {
 }
 
 /**
- * Generate JWT token
+ * Columns users may change through updateProfile
  */
-function generateJWT(userId) {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+const PROFILE_FIELDS = ['username', 'avatar', 'preferences'];
+
+// Accounts without a password confirm deletion by having signed in this recently
+const RECENT_SIGN_IN_MS = 10 * 60 * 1000;
+
+/**
+ * Columns holding each external identity, cleared when it is unlinked
+ */
+const IDENTITY_FIELDS = {
+  discord: {
+    discordId: null,
+    discordUsername: null,
+    discordAvatar: null,
+    discordAccessToken: null,
+    discordRefreshToken: null,
+    discordTokenExpiry: null
+  }
+};
+
+/**
+ * Add a login method to a user's provider list
+ */
+function withProvider(user, provider) {
+  const providers = user.authProviders || [];
+  return providers.includes(provider) ? providers : [...providers, provider];
+}
+
+/**
+ * Refuse to sign in to a banned account or one scheduled for deletion
+ */
+async function assertCanSignIn(user, context) {
+  const reason = user.bannedAt ? 'banned' : user.deletionScheduledAt ? 'pending_deletion' : null;
+
+  if (!reason) {
+    return;
+  }
+
+  await SecurityEventService.record({ userId: user.id, type: 'login', outcome: 'failure', context, details: { reason } });
+
+  if (reason === 'banned') {
+    throw new HttpError(403, 'This account has been banned');
+  }
+
+  throw new HttpError(403, 'This account is scheduled for deletion. Use the restore link we emailed you to keep it.');
+}
+
+/**
+ * Derive an available username from an external display name
+ */
+async function generateUniqueUsername(name) {
+  let base = (name || '').replace(/[^a-zA-Z0-9_]/g, '').slice(0, 24);
+  if (base.length < 3) {
+    base = `user${base}`;
+  }
+
+  let candidate = base;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const [existing] = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(eq(users.username, candidate))
+      .limit(1);
+
+    if (!existing) {
+      return candidate;
+    }
+
+    candidate = `${base}_${crypto.randomInt(1000, 10000)}`;
+  }
+
+  throw new Error('Could not generate a unique username');
 }
 
 /**
@@ -32,9 +111,11 @@ export class AuthService {
    */
   static async checkDailySignupLimit() {
     const today = new Date().toISOString().split('T')[0];
-    const limit = parseInt(process.env.DAILY_SIGNUP_LIMIT || '300');
+    let limit = parseInt(process.env.DAILY_SIGNUP_LIMIT || '300');
 
     try {
+      limit = await SettingsService.getDailySignupLimit();
+
       const [signupRecord] = await db
         .select()
         .from(dailySignups)
@@ -92,7 +173,7 @@ export class AuthService {
   /**
    * Register new user
    */
-  static async register(userData) {
+  static async register(userData, context = {}) {
     const { email, username, password, avatar } = userData;
 
     // Check daily signup limit
@@ -123,7 +204,7 @@ export class AuthService {
     }
 
     // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await hashPassword(password);
 
     // Create user
     const [newUser] = await db
@@ -134,7 +215,8 @@ export class AuthService {
         password: hashedPassword,
         avatar: avatar || 'avatar_1',
         isVerified: false,
-        preferences: {}
+        preferences: {},
+        authProviders: ['local']
       })
       .returning();
 
@@ -144,7 +226,7 @@ export class AuthService {
 
     await db.insert(emailVerificationTokens).values({
       userId: newUser.id,
-      token: verificationToken,
+      tokenHash: hashToken(verificationToken),
       expiresAt,
       used: false
     });
@@ -152,15 +234,19 @@ export class AuthService {
     // Increment signup counter
     await this.incrementSignupCount();
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = newUser;
+    // Remove secrets from response
+    const publicUser = sanitizeUser(newUser);
+
+    // Start session and generate JWT
+    const { sessionId, refreshToken } = await SessionService.createSession(newUser.id, context);
+    const token = await createAccessToken(newUser.id, sessionId);
 
-    // Generate JWT
-    const token = generateJWT(newUser.id);
+    await SecurityEventService.record({ userId: newUser.id, type: 'register', context, details: { method: 'password' } });
 
     return {
-      user: userWithoutPassword,
+      user: publicUser,
       token,
+      refreshToken,
       verificationToken // For email service
     };
   }
@@ -168,29 +254,469 @@ export class AuthService {
   /**
    * Login user
    */
-  static async login(email, password) {
+  static async login(email, password, context = {}) {
     const [user] = await db
       .select()
       .from(users)
       .where(eq(users.email, email))
       .limit(1);
 
-    if (!user) {
+    // OAuth-only accounts have no password to compare against
+    if (!user || !user.password) {
+      await SecurityEventService.record({
+        userId: user ? user.id : null,
+        type: 'login',
+        outcome: 'failure',
+        context,
+        details: { email, reason: user ? 'no_password' : 'unknown_account' }
+      });
       throw new Error('Invalid credentials');
     }
 
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      throw new Error('Invalid credentials');
+    // With 2FA on, failures are only cleared once the code is right too
+    await LoginLockoutService.assertPassword(user, password, {
+      type: 'login',
+      context,
+      error: new Error('Invalid credentials'),
+      resetFailures: !user.twoFactorEnabled
+    });
+    await assertCanSignIn(user, context);
+
+    // Second factor required before a session is issued
+    if (user.twoFactorEnabled) {
+      return { twoFactorRequired: true, challengeToken: await TwoFactorService.createLoginChallenge(user.id) };
+    }
+
+    // Remove secrets from response
+    const publicUser = sanitizeUser(user);
+
+    // Start session and generate JWT
+    const { sessionId, refreshToken } = await SessionService.createSession(user.id, context);
+    const token = await createAccessToken(user.id, sessionId);
+
+    await SecurityEventService.record({ userId: user.id, type: 'login', context, details: { method: 'password' } });
+
+    return { user: publicUser, token, refreshToken };
+  }
+
+  /**
+   * Complete a 2FA login with a TOTP or backup code
+   */
+  static async verifyTwoFactorLogin(challengeToken, code, context = {}) {
+    let decoded;
+    try {
+      decoded = await verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      throw new HttpError(401, 'Invalid or expired two-factor challenge');
+    }
+
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, decoded.userId))
+      .limit(1);
+
+    if (!user || !user.twoFactorEnabled) {
+      throw new HttpError(401, 'Invalid or expired two-factor challenge');
+    }
+
+    await assertCanSignIn(user, context);
+
+    // Wrong codes feed the same per-account delays and lock as wrong passwords
+    let claimed;
+    try {
+      claimed = await LoginLockoutService.claimAttempt(user);
+    } catch (lockError) {
+      await SecurityEventService.record({ userId: user.id, type: 'login', outcome: 'failure', context, details: { reason: 'locked' } });
+      throw lockError;
+    }
+
+    // A used-up challenge is not a guess at the code
+    try {
+      await TwoFactorService.recordChallengeAttempt(decoded.jti, user.id);
+    } catch (challengeError) {
+      await LoginLockoutService.releaseAttempt(user);
+      throw challengeError;
+    }
+
+    const isValidCode = await TwoFactorService.verifyCode(user, code);
+    if (!isValidCode) {
+      await SecurityEventService.record({ userId: user.id, type: 'login', outcome: 'failure', context, details: { reason: 'invalid_two_factor_code' } });
+      await LoginLockoutService.recordFailure(user, claimed, context);
+      throw new HttpError(401, 'Invalid two-factor code');
+    }
+
+    await TwoFactorService.consumeChallenge(decoded.jti);
+    await LoginLockoutService.clear(user.id);
+
+    // Start session and generate JWT
+    const { sessionId, refreshToken } = await SessionService.createSession(user.id, context);
+    const token = await createAccessToken(user.id, sessionId);
+
+    await SecurityEventService.record({ userId: user.id, type: 'login', context, details: { method: 'two_factor' } });
+
+    return { user: sanitizeUser(user), token, refreshToken };
+  }
+
+  /**
+   * Start a passwordless login by email
+   * Returns the link token and code for the email service; unknown addresses
+   * get the same response so accounts cannot be discovered.
+   */
+  static async requestMagicLink(email, context = {}) {
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.email, email))
+      .limit(1);
+
+    const response = {
+      success: true,
+      message: 'If an account exists, a sign-in link and code will be sent.'
+    };
+
+    if (!user) {
+      return response;
+    }
+
+    const { token, code, expiresAt } = await MagicLinkService.create(user.id);
+
+    await SecurityEventService.record({ userId: user.id, type: 'magic_link_request', context });
+
+    return { ...response, user, token, code, expiresAt };
+  }
+
+  /**
+   * Complete a passwordless login with the emailed link token, or the
+   * emailed code and the address it was sent to
+   */
+  static async loginWithMagicLink({ token, email, code }, context = {}) {
+    const method = token ? 'magic_link' : 'email_code';
+    let account = null;
+
+    if (!token) {
+      [account] = await db
+        .select({ id: users.id })
+        .from(users)
+        .where(eq(users.email, email))
+        .limit(1);
+    }
+
+    let userId;
+    try {
+      if (token) {
+        userId = await MagicLinkService.verifyToken(token);
+      } else if (account) {
+        userId = await MagicLinkService.verifyCode(account.id, code);
+      } else {
+        throw new HttpError(400, 'Invalid or expired login code');
+      }
+    } catch (error) {
+      await SecurityEventService.record({
+        userId: account ? account.id : null,
+        type: 'login',
+        outcome: 'failure',
+        context,
+        details: token
+          ? { reason: 'invalid_magic_link' }
+          : { email, reason: account ? 'invalid_email_code' : 'unknown_account' }
+      });
+      throw error;
+    }
+
+    let [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    await assertCanSignIn(user, context);
+
+    // Opening the email proves the address
+    if (!user.isVerified) {
+      [user] = await db
+        .update(users)
+        .set({ isVerified: true, updatedAt: new Date() })
+        .where(eq(users.id, user.id))
+        .returning();
+    }
+
+    // The email replaces the password, not the second factor
+    if (user.twoFactorEnabled) {
+      return { twoFactorRequired: true, challengeToken: await TwoFactorService.createLoginChallenge(user.id) };
+    }
+
+    const { sessionId, refreshToken } = await SessionService.createSession(user.id, context);
+    const jwtToken = await createAccessToken(user.id, sessionId);
+
+    await SecurityEventService.record({ userId: user.id, type: 'login', context, details: { method } });
+
+    return { user: sanitizeUser(user), token: jwtToken, refreshToken };
+  }
+
+  /**
+   * Complete a passkey login
+   * Passkeys verify the user on the device, so no second factor is asked for.
+   */
+  static async loginWithPasskey(credential, context = {}) {
+    let userId;
+    try {
+      userId = await PasskeyService.authenticate(credential);
+    } catch (error) {
+      await SecurityEventService.record({
+        type: 'login',
+        outcome: 'failure',
+        context,
+        details: { reason: 'invalid_passkey', error: error.message }
+      });
+      throw error;
+    }
+
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    await assertCanSignIn(user, context);
+
+    const { sessionId, refreshToken } = await SessionService.createSession(user.id, context);
+    const token = await createAccessToken(user.id, sessionId);
+
+    await SecurityEventService.record({ userId: user.id, type: 'login', context, details: { method: 'passkey' } });
+
+    return { user: sanitizeUser(user), token, refreshToken };
+  }
+
+  /**
+   * Login or sign up with a Discord account
+   */
+  static async loginWithDiscord(profile, discordTokens, context = {}) {
+    const discordFields = {
+      discordUsername: profile.global_name || profile.username,
+      discordAvatar: profile.avatar,
+      discordAccessToken: discordTokens.access_token,
+      discordRefreshToken: discordTokens.refresh_token,
+      discordTokenExpiry: new Date(Date.now() + discordTokens.expires_in * 1000)
+    };
+
+    let [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.discordId, profile.id))
+      .limit(1);
+
+    const isNewUser = !user;
+
+    if (user) {
+      await assertCanSignIn(user, context);
+
+      [user] = await db
+        .update(users)
+        .set({ ...discordFields, updatedAt: new Date() })
+        .where(eq(users.id, user.id))
+        .returning();
+    } else {
+      if (!profile.email || !profile.verified) {
+        throw new HttpError(400, 'Your Discord account has no verified email address');
+      }
+
+      const email = profile.email.trim().toLowerCase();
+
+      const [existingEmail] = await db
+        .select({ id: users.id })
+        .from(users)
+        .where(eq(users.email, email))
+        .limit(1);
+
+      if (existingEmail) {
+        throw new HttpError(409, 'An account with this email already exists. Log in with your password and link Discord from your account settings.');
+      }
+
+      const limitCheck = await this.checkDailySignupLimit();
+      if (!limitCheck.allowed) {
+        throw new Error(limitCheck.message);
+      }
+
+      [user] = await db
+        .insert(users)
+        .values({
+          email,
+          username: await generateUniqueUsername(profile.username),
+          password: null,
+          avatar: 'avatar_1',
+          isVerified: true,
+          preferences: {},
+          discordId: profile.id,
+          authProviders: ['discord'],
+          ...discordFields
+        })
+        .returning();
+
+      await this.incrementSignupCount();
+      await SecurityEventService.record({ userId: user.id, type: 'register', context, details: { method: 'discord' } });
+    }
+
+    // Second factor required before a session is issued
+    if (user.twoFactorEnabled) {
+      return { twoFactorRequired: true, challengeToken: await TwoFactorService.createLoginChallenge(user.id) };
+    }
+
+    // Start session and generate JWT
+    const { sessionId, refreshToken } = await SessionService.createSession(user.id, context);
+    const token = await createAccessToken(user.id, sessionId);
+
+    await SecurityEventService.record({ userId: user.id, type: 'login', context, details: { method: 'discord' } });
+
+    return { user: sanitizeUser(user), token, refreshToken, isNewUser };
+  }
+
+  /**
+   * Link a Discord account to an existing user
+   */
+  static async linkDiscord(userId, profile, discordTokens, context = {}) {
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const [owner] = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(eq(users.discordId, profile.id))
+      .limit(1);
+
+    if (owner && owner.id !== userId) {
+      throw new HttpError(409, 'This Discord account is already linked to another user');
+    }
+
+    const [updatedUser] = await db
+      .update(users)
+      .set({
+        discordId: profile.id,
+        discordUsername: profile.global_name || profile.username,
+        discordAvatar: profile.avatar,
+        discordAccessToken: discordTokens.access_token,
+        discordRefreshToken: discordTokens.refresh_token,
+        discordTokenExpiry: new Date(Date.now() + discordTokens.expires_in * 1000),
+        authProviders: withProvider(user, 'discord'),
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, userId))
+      .returning();
+
+    await SecurityEventService.record({ userId, type: 'identity_link', context, details: { provider: 'discord' } });
+
+    return sanitizeUser(updatedUser);
+  }
+
+  /**
+   * List login methods linked to the account
+   */
+  static async getIdentities(userId) {
+    const user = await this.getUserById(userId);
+    const providers = user.authProviders || [];
+
+    return {
+      local: { linked: providers.includes('local') },
+      discord: {
+        linked: providers.includes('discord'),
+        username: user.discordUsername,
+        avatar: user.discordAvatar
+      }
+    };
+  }
+
+  /**
+   * Unlink an external identity, keeping at least one login method
+   */
+  static async unlinkIdentity(userId, provider, context = {}) {
+    if (!IDENTITY_FIELDS[provider]) {
+      throw new HttpError(400, `Unsupported provider: ${provider}`);
+    }
+
+    const user = await this.getUserById(userId);
+    const providers = user.authProviders || [];
+
+    if (!providers.includes(provider)) {
+      throw new HttpError(404, `No ${provider} account is linked`);
+    }
+
+    if (providers.length <= 1) {
+      throw new HttpError(400, 'Cannot remove your last login method. Set a password or link another account first.');
+    }
+
+    const [updatedUser] = await db
+      .update(users)
+      .set({
+        ...IDENTITY_FIELDS[provider],
+        authProviders: providers.filter(p => p !== provider),
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, userId))
+      .returning();
+
+    await SecurityEventService.record({ userId, type: 'identity_unlink', context, details: { provider } });
+
+    return sanitizeUser(updatedUser);
+  }
+
+  /**
+   * Set a local password on an OAuth-only account
+   */
+  static async setPassword(userId, newPassword, context = {}) {
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.password) {
+      throw new HttpError(400, 'Password already set. Use change password instead.');
     }
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    const hashedPassword = await hashPassword(newPassword);
+
+    const [updatedUser] = await db
+      .update(users)
+      .set({
+        password: hashedPassword,
+        authProviders: withProvider(user, 'local'),
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, userId))
+      .returning();
+
+    await SecurityEventService.record({ userId, type: 'password_set', context });
 
-    // Generate JWT
-    const token = generateJWT(user.id);
+    return sanitizeUser(updatedUser);
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   */
+  static async refreshSession(refreshToken, context = {}) {
+    const rotated = await SessionService.rotateRefreshToken(refreshToken, context);
+    const token = await createAccessToken(rotated.userId, rotated.sessionId);
+
+    return { token, refreshToken: rotated.refreshToken };
+  }
 
-    return { user: userWithoutPassword, token };
+  /**
+   * Logout user by revoking the current session
+   */
+  static async logout(sessionId) {
+    await SessionService.revokeSession(sessionId, 'logout');
+    return { success: true, message: 'Logout successful' };
   }
 
   /**
@@ -207,17 +733,21 @@ export class AuthService {
       throw new Error('User not found');
     }
 
-    const { password: _, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return sanitizeUser(user);
   }
 
   /**
    * Update user profile
    */
-  static async updateProfile(userId, updates) {
-    // Don't allow email or password updates via this method
-    delete updates.email;
-    delete updates.password;
+  static async updateProfile(userId, changes, context = {}) {
+    // Only these are user-editable; email changes go through
+    // requestEmailChange, passwords through changePassword
+    const updates = {};
+    for (const field of PROFILE_FIELDS) {
+      if (changes[field] !== undefined) {
+        updates[field] = changes[field];
+      }
+    }
 
     // Check if username is being updated and if it's taken
     if (updates.username) {
@@ -238,14 +768,169 @@ export class AuthService {
       .where(eq(users.id, userId))
       .returning();
 
-    const { password: _, ...userWithoutPassword } = updatedUser;
-    return userWithoutPassword;
+    await SecurityEventService.record({ userId, type: 'profile_update', context, details: { fields: Object.keys(updates) } });
+
+    return sanitizeUser(updatedUser);
+  }
+
+  /**
+   * Request an email address change (requires password)
+   * The address only changes once the token sent to it is confirmed
+   */
+  static async requestEmailChange(userId, newEmail, password, context = {}) {
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.password) {
+      throw new HttpError(400, 'No password set for this account');
+    }
+
+    await LoginLockoutService.assertPassword(user, password, {
+      type: 'email_change_request',
+      context,
+      error: new HttpError(401, 'Invalid password')
+    });
+
+    if (newEmail === user.email) {
+      throw new HttpError(400, 'New email must be different from current email');
+    }
+
+    const [existingEmail] = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(eq(users.email, newEmail))
+      .limit(1);
+
+    if (existingEmail) {
+      throw new HttpError(409, 'Email already in use');
+    }
+
+    // Only the latest request stays valid
+    await db
+      .update(emailChangeRequests)
+      .set({ used: true })
+      .where(and(eq(emailChangeRequests.userId, userId), eq(emailChangeRequests.used, false)));
+
+    const token = generateSecureToken();
+    const cancelToken = generateSecureToken();
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+
+    await db.insert(emailChangeRequests).values({
+      userId,
+      newEmail,
+      tokenHash: hashToken(token),
+      cancelTokenHash: hashToken(cancelToken),
+      expiresAt,
+      used: false
+    });
+
+    await SecurityEventService.record({ userId, type: 'email_change_request', context, details: { newEmail } });
+
+    return {
+      success: true,
+      message: 'Confirmation email sent to the new address',
+      user: sanitizeUser(user),
+      token, // For email service (new address)
+      cancelToken // For email service (old address)
+    };
+  }
+
+  /**
+   * Confirm an email change with the token sent to the new address
+   */
+  static async confirmEmailChange(token, context = {}) {
+    const [request] = await db
+      .select()
+      .from(emailChangeRequests)
+      .where(
+        and(
+          eq(emailChangeRequests.tokenHash, hashToken(token)),
+          eq(emailChangeRequests.used, false),
+          gt(emailChangeRequests.expiresAt, new Date())
+        )
+      )
+      .limit(1);
+
+    if (!request) {
+      throw new HttpError(400, 'Invalid or expired email change token');
+    }
+
+    // The address may have been taken since the request was made
+    const [existingEmail] = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(eq(users.email, request.newEmail))
+      .limit(1);
+
+    if (existingEmail) {
+      throw new HttpError(409, 'Email already in use');
+    }
+
+    // Claim the request so it can only be used once
+    const [claimed] = await db
+      .update(emailChangeRequests)
+      .set({ used: true })
+      .where(and(eq(emailChangeRequests.id, request.id), eq(emailChangeRequests.used, false)))
+      .returning({ id: emailChangeRequests.id });
+
+    if (!claimed) {
+      throw new HttpError(400, 'Invalid or expired email change token');
+    }
+
+    let updatedUser;
+    try {
+      [updatedUser] = await db
+        .update(users)
+        .set({ email: request.newEmail, isVerified: true, updatedAt: new Date() })
+        .where(eq(users.id, request.userId))
+        .returning();
+    } catch (error) {
+      // Unique violation from a concurrent signup or change
+      if (error.code === '23505') {
+        throw new HttpError(409, 'Email already in use');
+      }
+      throw error;
+    }
+
+    await SecurityEventService.record({ userId: request.userId, type: 'email_change', context, details: { newEmail: request.newEmail } });
+
+    return { success: true, message: 'Email changed successfully', user: sanitizeUser(updatedUser) };
+  }
+
+  /**
+   * Cancel a pending email change with the link sent to the old address
+   */
+  static async cancelEmailChange(cancelToken) {
+    const [request] = await db
+      .update(emailChangeRequests)
+      .set({ used: true })
+      .where(
+        and(
+          eq(emailChangeRequests.cancelTokenHash, hashToken(cancelToken)),
+          eq(emailChangeRequests.used, false)
+        )
+      )
+      .returning();
+
+    if (!request) {
+      throw new HttpError(400, 'Invalid or already used cancel token');
+    }
+
+    return { success: true, message: 'Email change cancelled' };
   }
 
   /**
    * Change password
+   * @param {object} options - { currentSessionId, signOutOtherSessions }
    */
-  static async changePassword(userId, currentPassword, newPassword) {
+  static async changePassword(userId, currentPassword, newPassword, context = {}, options = {}) {
     const [user] = await db
       .select()
       .from(users)
@@ -256,25 +941,36 @@ export class AuthService {
       throw new Error('User not found');
     }
 
-    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
-    if (!isValidPassword) {
-      throw new Error('Current password is incorrect');
+    if (!user.password) {
+      throw new HttpError(400, 'No password set for this account');
     }
 
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await LoginLockoutService.assertPassword(user, currentPassword, {
+      type: 'password_change',
+      context,
+      error: new Error('Current password is incorrect')
+    });
+
+    const hashedPassword = await hashPassword(newPassword);
 
     await db
       .update(users)
       .set({ password: hashedPassword, updatedAt: new Date() })
       .where(eq(users.id, userId));
 
-    return { success: true, message: 'Password changed successfully' };
+    await SecurityEventService.record({ userId, type: 'password_change', context });
+
+    const signedOutSessions = options.signOutOtherSessions
+      ? await SessionService.revokeOtherSessions(userId, options.currentSessionId || null, 'password_change', context)
+      : 0;
+
+    return { success: true, message: 'Password changed successfully', signedOutSessions };
   }
 
   /**
    * Request password reset
    */
-  static async requestPasswordReset(email) {
+  static async requestPasswordReset(email, context = {}) {
     const [user] = await db
       .select()
       .from(users)
@@ -289,16 +985,24 @@ export class AuthService {
       };
     }
 
+    // Only the latest reset email works
+    await db
+      .update(passwordResetTokens)
+      .set({ used: true })
+      .where(and(eq(passwordResetTokens.userId, user.id), eq(passwordResetTokens.used, false)));
+
     const resetToken = generateSecureToken();
     const expiresAt = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
 
     await db.insert(passwordResetTokens).values({
       userId: user.id,
-      token: resetToken,
+      tokenHash: hashToken(resetToken),
       expiresAt,
       used: false
     });
 
+    await SecurityEventService.record({ userId: user.id, type: 'password_reset_request', context });
+
     return {
       success: true,
       message: 'If an account exists, a reset link will be sent.',
@@ -309,14 +1013,15 @@ export class AuthService {
 
   /**
    * Reset password with token
+   * @param {object} options - { signOutOtherSessions } ends every session of the account
    */
-  static async resetPassword(token, newPassword) {
+  static async resetPassword(token, newPassword, context = {}, options = {}) {
     const [tokenRecord] = await db
       .select()
       .from(passwordResetTokens)
       .where(
         and(
-          eq(passwordResetTokens.token, token),
+          eq(passwordResetTokens.tokenHash, hashToken(token)),
           eq(passwordResetTokens.used, false),
           gt(passwordResetTokens.expiresAt, new Date())
         )
@@ -327,54 +1032,88 @@ export class AuthService {
       throw new Error('Invalid or expired reset token');
     }
 
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const user = await this.getUserById(tokenRecord.userId);
+
+    // The validator could not know whose token this is; check personal info
+    // now, answering the way validateRequest does
+    const policy = checkPasswordPolicy(newPassword, user);
+    if (!policy.valid) {
+      const error = new HttpError(400, 'Validation failed');
+      error.errors = [{
+        type: 'field',
+        path: 'newPassword',
+        location: 'body',
+        msg: policy.reasons[0].message,
+        reasons: policy.reasons
+      }];
+      throw error;
+    }
 
+    // Claim the token so it can only be used once
+    const [claimed] = await db
+      .update(passwordResetTokens)
+      .set({ used: true })
+      .where(and(eq(passwordResetTokens.id, tokenRecord.id), eq(passwordResetTokens.used, false)))
+      .returning({ id: passwordResetTokens.id });
+
+    if (!claimed) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+
+    // A reset also gives OAuth-only accounts a local password
     await db
       .update(users)
-      .set({ password: hashedPassword, updatedAt: new Date() })
+      .set({
+        password: hashedPassword,
+        authProviders: withProvider(user, 'local'),
+        updatedAt: new Date()
+      })
       .where(eq(users.id, tokenRecord.userId));
 
-    // Mark token as used
-    await db
-      .update(passwordResetTokens)
-      .set({ used: true })
-      .where(eq(passwordResetTokens.id, tokenRecord.id));
+    // Proving access to the inbox also lifts a lockout
+    await LoginLockoutService.clear(tokenRecord.userId);
 
-    return { success: true, message: 'Password reset successful' };
+    await SecurityEventService.record({ userId: tokenRecord.userId, type: 'password_reset', context });
+
+    const signedOutSessions = options.signOutOtherSessions
+      ? await SessionService.revokeOtherSessions(tokenRecord.userId, null, 'password_reset', context)
+      : 0;
+
+    return { success: true, message: 'Password reset successful', signedOutSessions };
   }
 
   /**
    * Verify email
    */
-  static async verifyEmail(token) {
+  static async verifyEmail(token, context = {}) {
+    // Marked used in the same statement, so a token works once
     const [tokenRecord] = await db
-      .select()
-      .from(emailVerificationTokens)
+      .update(emailVerificationTokens)
+      .set({ used: true })
       .where(
         and(
-          eq(emailVerificationTokens.token, token),
+          eq(emailVerificationTokens.tokenHash, hashToken(token)),
           eq(emailVerificationTokens.used, false),
           gt(emailVerificationTokens.expiresAt, new Date())
         )
       )
-      .limit(1);
+      .returning();
 
     if (!tokenRecord) {
       throw new Error('Invalid or expired verification token');
     }
 
-    await db
+    const [user] = await db
       .update(users)
       .set({ isVerified: true, updatedAt: new Date() })
-      .where(eq(users.id, tokenRecord.userId));
+      .where(eq(users.id, tokenRecord.userId))
+      .returning();
 
-    // Mark token as used
-    await db
-      .update(emailVerificationTokens)
-      .set({ used: true })
-      .where(eq(emailVerificationTokens.id, tokenRecord.id));
+    await SecurityEventService.record({ userId: user.id, type: 'email_verification', context });
 
-    return { success: true, message: 'Email verified successfully' };
+    return { success: true, message: 'Email verified successfully', user: sanitizeUser(user) };
   }
 
   /**
@@ -407,7 +1146,7 @@ export class AuthService {
 
     await db.insert(emailVerificationTokens).values({
       userId,
-      token: verificationToken,
+      tokenHash: hashToken(verificationToken),
       expiresAt,
       used: false
     });
@@ -421,8 +1160,10 @@ export class AuthService {
 
   /**
    * Delete account
+   * The account is only scheduled for deletion; it can be restored with the
+   * returned token until the grace period ends.
    */
-  static async deleteAccount(userId, password) {
+  static async deleteAccount(userId, password, context = {}, sessionId = null) {
     const [user] = await db
       .select()
       .from(users)
@@ -433,116 +1174,69 @@ export class AuthService {
       throw new Error('User not found');
     }
 
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      throw new Error('Invalid password');
+    if (user.password) {
+      if (!password) {
+        throw new HttpError(400, 'Password is required for account deletion');
+      }
+
+      await LoginLockoutService.assertPassword(user, password, {
+        type: 'account_deletion',
+        context,
+        error: new Error('Invalid password')
+      });
+    } else {
+      // Discord, magic link and passkey accounts re-authenticate by signing
+      // in again, which starts a new session
+      const session = sessionId && await SessionService.getActiveSession(sessionId);
+
+      if (!session || session.createdAt < new Date(Date.now() - RECENT_SIGN_IN_MS)) {
+        throw new HttpError(403, 'Sign in again to confirm account deletion');
+      }
     }
 
-    // Delete user data (cascades due to foreign keys)
-    await db.delete(users).where(eq(users.id, userId));
+    const { restoreToken, deletionScheduledAt } = await AccountDeletionService.scheduleDeletion(userId);
+
+    await SecurityEventService.record({ userId, type: 'account_deletion', context, details: { deletionScheduledAt } });
 
-    return { success: true, message: 'Account deleted successfully' };
+    return {
+      success: true,
+      message: 'Account scheduled for deletion',
+      restoreToken,
+      deletionScheduledAt
+    };
   }
 
   /**
    * Sync user data (favorites, watchlist, history)
+   * Delta sync by default; mode 'replace' makes the server match the payload
    */
   static async syncUserData(userId, syncData) {
-    const results = {};
-
-    // Sync favorites
-    if (syncData.favorites && Array.isArray(syncData.favorites)) {
-      // Clear existing
-      await db.delete(favorites).where(eq(favorites.userId, userId));
-      // Insert new
-      if (syncData.favorites.length > 0) {
-        await db.insert(favorites).values(
-          syncData.favorites.map(fav => ({
-            userId,
-            animeId: fav.animeId || fav.id,
-            title: fav.title || fav.name || 'Unknown',
-            poster: fav.poster || fav.image || null
-          }))
-        );
-      }
-      results.favorites = syncData.favorites.length;
-    }
-
-    // Sync watchlist
-    if (syncData.watchlist && Array.isArray(syncData.watchlist)) {
-      await db.delete(watchlist).where(eq(watchlist.userId, userId));
-      if (syncData.watchlist.length > 0) {
-        await db.insert(watchlist).values(
-          syncData.watchlist.map(item => ({
-            userId,
-            animeId: item.animeId || item.id,
-            title: item.title || item.name || 'Unknown',
-            poster: item.poster || item.image || null,
-            status: item.status || 'plan_to_watch'
-          }))
-        );
-      }
-      results.watchlist = syncData.watchlist.length;
-    }
-
-    // Sync watch history
-    if (syncData.watchHistory && Array.isArray(syncData.watchHistory)) {
-      await db.delete(watchHistory).where(eq(watchHistory.userId, userId));
-      if (syncData.watchHistory.length > 0) {
-        await db.insert(watchHistory).values(
-          syncData.watchHistory.map(item => ({
-            userId,
-            animeId: item.animeId,
-            episodeId: item.episodeId,
-            episodeNumber: item.episodeNumber || 1,
-            progress: item.progress || 0,
-            completed: item.completed || false,
-            watchedAt: item.watchedAt ? new Date(item.watchedAt) : new Date()
-          }))
-        );
-      }
-      results.watchHistory = syncData.watchHistory.length;
-    }
-
-    return { success: true, synced: results };
+    return SyncService.sync(userId, syncData);
   }
 
   /**
    * Fetch user data
+   * With no options every live item is returned. Pass a limit to page
+   * through the collections with the returned nextCursor.
+   * @param {number} userId - User ID
+   * @param {object} options - See LibraryService.query
    */
-  static async fetchUserData(userId) {
-    const userFavorites = await db
-      .select()
-      .from(favorites)
-      .where(eq(favorites.userId, userId));
+  static async fetchUserData(userId, options = {}) {
+    const data = await LibraryService.query(userId, options);
 
-    const userWatchlist = await db
-      .select()
-      .from(watchlist)
-      .where(eq(watchlist.userId, userId));
-
-    const userWatchHistory = await db
-      .select()
-      .from(watchHistory)
-      .where(eq(watchHistory.userId, userId));
+    return {
+      ...data,
+      syncToken: await SyncService.getSyncToken(userId)
+    };
+  }
 
+  /**
+   * Counts of favorites, watchlist entries and history without the items
+   */
+  static async fetchUserDataSummary(userId) {
     return {
-      favorites: userFavorites.map(f => ({
-        id: f.animeId,
-        animeId: f.animeId,
-        title: f.title,
-        poster: f.poster,
-        addedAt: f.addedAt
-      })),
-      watchlist: userWatchlist.map(w => ({
-        id: w.animeId,
-        animeId: w.animeId,
-        title: w.title,
-        poster: w.poster,
-        status: w.status,
-        addedAt: w.addedAt
-      })),
-      watchHistory: userWatchHistory
+      ...(await LibraryService.getSummary(userId)),
+      syncToken: await SyncService.getSyncToken(userId)
     };
   }
 }
@@ -0,0 +1,91 @@
+import { HttpError } from '../utils/errors.js';
+
+/**
+ * Discord OAuth2 configuration
+ * Endpoint URLs can be overridden to point at a mock server
+ */
+function getDiscordConfig() {
+  const config = {
+    clientId: process.env.DISCORD_CLIENT_ID,
+    clientSecret: process.env.DISCORD_CLIENT_SECRET,
+    redirectUri: process.env.DISCORD_REDIRECT_URI,
+    authorizeUrl: process.env.DISCORD_AUTHORIZE_URL || 'https://discord.com/oauth2/authorize',
+    tokenUrl: process.env.DISCORD_TOKEN_URL || 'https://discord.com/api/oauth2/token',
+    apiUrl: process.env.DISCORD_API_URL || 'https://discord.com/api/v10',
+    scopes: ['identify', 'email']
+  };
+
+  if (!config.clientId || !config.clientSecret || !config.redirectUri) {
+    throw new HttpError(503, 'Discord login is not configured');
+  }
+
+  return config;
+}
+
+/**
+ * DiscordService - Talks to the Discord OAuth2 and user APIs
+ */
+export class DiscordService {
+  /**
+   * Build the authorize URL the user is redirected to
+   */
+  static getAuthorizationUrl(state, codeChallenge) {
+    const config = getDiscordConfig();
+    const url = new URL(config.authorizeUrl);
+
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.clientId,
+      redirect_uri: config.redirectUri,
+      scope: config.scopes.join(' '),
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+  }
+
+  /**
+   * Exchange an authorization code for Discord tokens
+   */
+  static async exchangeCode(code, codeVerifier) {
+    const config = getDiscordConfig();
+
+    const response = await fetch(config.tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: config.redirectUri,
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        code_verifier: codeVerifier
+      })
+    });
+
+    if (!response.ok) {
+      throw new HttpError(401, 'Discord authorization code is invalid or expired');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Fetch the Discord account behind an access token
+   */
+  static async fetchProfile(accessToken) {
+    const config = getDiscordConfig();
+
+    const response = await fetch(`${config.apiUrl}/users/@me`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    if (!response.ok) {
+      throw new HttpError(502, 'Failed to fetch Discord profile');
+    }
+
+    return response.json();
+  }
+}
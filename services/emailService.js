@@ -1,13 +1,46 @@
 /**
  * EmailService - Handles email sending
- * 
- * NOTE: This is a mock service for development.
- * In production, integrate with actual email service:
- * - SendGrid: https://sendgrid.com
- * - Mailgun: https://mailgun.com
- * - AWS SES: https://aws.amazon.com/ses/
- * - Resend: https://resend.com
+ *
+ * Messages are rendered from templates/email and delivered through the
+ * transport selected by EMAIL_TRANSPORT (see emailTransports.js).
  */
+import { createTransport } from './emailTransports.js';
+import { renderTemplate } from './emailTemplates.js';
+
+let transport = null;
+
+/**
+ * Get the configured transport (created on first use)
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Render a template and send it
+ * Delivery failures are logged, not thrown, so they never break the request
+ */
+export async function sendEmail({ to, subject, template, variables = {} }) {
+  try {
+    const { html, text } = renderTemplate(template, { ...variables, subject });
+
+    const result = await getTransport().send({
+      from: process.env.EMAIL_FROM || 'Otazumi <noreply@otazumi.com>',
+      to,
+      subject,
+      html,
+      text
+    });
+
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error(`Error sending ${template} email:`, error);
+    return { success: false, error: error.message };
+  }
+}
 
 /**
  * Send verification email
@@ -15,32 +48,12 @@
 export async function sendVerificationEmail(email, username, token) {
   const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
 
-  console.log('📧 Verification Email');
-  console.log('To:', email);
-  console.log('Username:', username);
-  console.log('Verification URL:', verificationUrl);
-
-  // TODO: Integrate with email service
-  /*
-  Example with SendGrid:
-  
-  const sgMail = require('@sendgrid/mail');
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-  
-  await sgMail.send({
+  return sendEmail({
     to: email,
-    from: process.env.EMAIL_FROM,
     subject: 'Verify your email - Otazumi',
-    html: `
-      <h1>Welcome to Otazumi, ${username}!</h1>
-      <p>Please verify your email by clicking the link below:</p>
-      <a href="${verificationUrl}">Verify Email</a>
-      <p>This link expires in 24 hours.</p>
-    `
+    template: 'verification',
+    variables: { username, verificationUrl }
   });
-  */
-
-  return { success: true };
 }
 
 /**
@@ -49,78 +62,104 @@ export async function sendVerificationEmail(email, username, token) {
 export async function sendPasswordResetEmail(email, username, token) {
   const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
 
-  console.log('📧 Password Reset Email');
-  console.log('To:', email);
-  console.log('Username:', username);
-  console.log('Reset URL:', resetUrl);
-
-  // TODO: Integrate with email service
-  /*
-  await sgMail.send({
+  return sendEmail({
     to: email,
-    from: process.env.EMAIL_FROM,
     subject: 'Reset your password - Otazumi',
-    html: `
-      <h1>Password Reset Request</h1>
-      <p>Hi ${username},</p>
-      <p>Click the link below to reset your password:</p>
-      <a href="${resetUrl}">Reset Password</a>
-      <p>This link expires in 1 hour.</p>
-      <p>If you didn't request this, please ignore this email.</p>
-    `
+    template: 'password-reset',
+    variables: { username, resetUrl }
   });
-  */
+}
+
+/**
+ * Send passwordless sign-in link and code
+ */
+export async function sendMagicLinkEmail(email, username, token, code, expiresAt) {
+  const loginUrl = `${process.env.FRONTEND_URL}/magic-link?token=${token}`;
+  const minutes = Math.round((expiresAt - Date.now()) / 60000);
 
-  return { success: true };
+  return sendEmail({
+    to: email,
+    subject: 'Your sign-in link - Otazumi',
+    template: 'magic-link',
+    variables: { username, loginUrl, code, minutes }
+  });
 }
 
 /**
  * Send welcome email
  */
 export async function sendWelcomeEmail(email, username) {
-  console.log('📧 Welcome Email');
-  console.log('To:', email);
-  console.log('Username:', username);
-
-  // TODO: Integrate with email service
-  /*
-  await sgMail.send({
+  return sendEmail({
     to: email,
-    from: process.env.EMAIL_FROM,
     subject: 'Welcome to Otazumi!',
-    html: `
-      <h1>Welcome to Otazumi, ${username}!</h1>
-      <p>Your account is now verified and ready to use.</p>
-      <p>Enjoy watching anime!</p>
-    `
+    template: 'welcome',
+    variables: { username }
   });
-  */
+}
 
-  return { success: true };
+/**
+ * Send account deletion notice with a restore link
+ */
+export async function sendAccountDeletionEmail(email, username, restoreToken, deletionScheduledAt) {
+  const restoreUrl = `${process.env.FRONTEND_URL}/restore-account?token=${restoreToken}`;
+  const deletionDate = deletionScheduledAt.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  return sendEmail({
+    to: email,
+    subject: 'Account Scheduled for Deletion - Otazumi',
+    template: 'account-deletion',
+    variables: { username, restoreUrl, deletionDate }
+  });
 }
 
 /**
- * Send account deletion confirmation email
+ * Send account locked notice with an unlock link
  */
-export async function sendAccountDeletionEmail(email, username) {
-  console.log('📧 Account Deletion Email');
-  console.log('To:', email);
-  console.log('Username:', username);
-
-  // TODO: Integrate with email service
-  /*
-  await sgMail.send({
+export async function sendAccountLockedEmail(email, username, unlockToken, lockedUntil) {
+  const unlockUrl = `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`;
+  const lockedUntilTime = lockedUntil.toLocaleString('en-US', {
+    dateStyle: 'long',
+    timeStyle: 'short',
+    timeZone: 'UTC'
+  });
+
+  return sendEmail({
     to: email,
-    from: process.env.EMAIL_FROM,
-    subject: 'Account Deleted - Otazumi',
-    html: `
-      <h1>Account Deleted</h1>
-      <p>Hi ${username},</p>
-      <p>Your Otazumi account has been successfully deleted.</p>
-      <p>We're sorry to see you go. If you change your mind, you can always create a new account.</p>
-    `
+    subject: 'Your account was locked - Otazumi',
+    template: 'account-locked',
+    variables: { username, unlockUrl, lockedUntil: `${lockedUntilTime} UTC` }
+  });
+}
+
+/**
+ * Send email change confirmation to the new address
+ */
+export async function sendEmailChangeConfirmationEmail(newEmail, username, token) {
+  const confirmUrl = `${process.env.FRONTEND_URL}/confirm-email-change?token=${token}`;
+
+  return sendEmail({
+    to: newEmail,
+    subject: 'Confirm your new email - Otazumi',
+    template: 'email-change-confirm',
+    variables: { username, newEmail, confirmUrl }
   });
-  */
+}
 
-  return { success: true };
+/**
+ * Send email change notice with a cancel link to the old address
+ */
+export async function sendEmailChangeNoticeEmail(email, username, newEmail, cancelToken) {
+  const cancelUrl = `${process.env.FRONTEND_URL}/cancel-email-change?token=${cancelToken}`;
+
+  return sendEmail({
+    to: email,
+    subject: 'Email change requested - Otazumi',
+    template: 'email-change-notice',
+    variables: { username, newEmail, cancelUrl }
+  });
 }
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'templates', 'email');
+
+const cache = new Map();
+
+/**
+ * Read a template file (cached outside development)
+ */
+function loadTemplate(file) {
+  if (process.env.NODE_ENV !== 'development' && cache.has(file)) {
+    return cache.get(file);
+  }
+
+  const source = fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8');
+  cache.set(file, source);
+  return source;
+}
+
+/**
+ * Escape a value for HTML output
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Replace {{name}} (escaped) and {{{name}}} (raw) placeholders
+ */
+function interpolate(source, variables, escape) {
+  return source
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (_, key) => String(variables[key] ?? ''))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => escape(variables[key] ?? ''));
+}
+
+/**
+ * Render the HTML and plain-text versions of an email template
+ * @param {string} name - Template name (templates/email/<name>.html and .txt)
+ * @param {object} variables - Per-message values
+ * @returns {{ html: string, text: string }} Rendered bodies
+ */
+export function renderTemplate(name, variables = {}) {
+  const html = interpolate(loadTemplate(`${name}.html`), variables, escapeHtml);
+  const text = interpolate(loadTemplate(`${name}.txt`), variables, String);
+
+  return {
+    html: interpolate(loadTemplate('layout.html'), { ...variables, content: html.trimEnd() }, escapeHtml),
+    text: interpolate(loadTemplate('layout.txt'), { ...variables, content: text.trimEnd() }, String)
+  };
+}
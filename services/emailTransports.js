@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Email transports
+ *
+ * Every transport exposes the same interface:
+ *   send({ from, to, subject, html, text }) => Promise<{ messageId }>
+ *
+ * Pick one with EMAIL_TRANSPORT: smtp, sendgrid, outbox or console (default).
+ */
+
+/**
+ * SMTP transport (any SMTP server: Mailgun, SES, Postmark, ...)
+ */
+export function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * SendGrid HTTP API transport
+ */
+export function createSendGridTransport() {
+  const apiUrl = process.env.SENDGRID_API_URL || 'https://api.sendgrid.com/v3/mail/send';
+
+  if (!process.env.SENDGRID_API_KEY) {
+    throw new Error('SENDGRID_API_KEY is required for the sendgrid email transport');
+  }
+
+  return {
+    name: 'sendgrid',
+    async send(message) {
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          personalizations: [{ to: [{ email: message.to }] }],
+          from: { email: message.from },
+          subject: message.subject,
+          content: [
+            { type: 'text/plain', value: message.text },
+            { type: 'text/html', value: message.html }
+          ]
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`SendGrid request failed with status ${response.status}`);
+      }
+
+      return { messageId: response.headers.get('x-message-id') };
+    }
+  };
+}
+
+/**
+ * Outbox transport - writes each message to a JSON file
+ * For local development and tests
+ */
+export function createOutboxTransport() {
+  const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+
+  return {
+    name: 'outbox',
+    async send(message) {
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      const file = path.join(outboxDir, `${messageId}.json`);
+
+      await fs.writeFile(file, JSON.stringify({ messageId, ...message, sentAt: new Date().toISOString() }, null, 2));
+
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Console transport - logs messages instead of sending them
+ */
+export function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log('📧 Email');
+      console.log('To:', message.to);
+      console.log('Subject:', message.subject);
+      console.log(message.text);
+
+      return { messageId: null };
+    }
+  };
+}
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  sendgrid: createSendGridTransport,
+  outbox: createOutboxTransport,
+  console: createConsoleTransport
+};
+
+/**
+ * Create the transport selected by EMAIL_TRANSPORT
+ */
+export function createTransport(name = process.env.EMAIL_TRANSPORT || 'console') {
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+
+  return factory();
+}
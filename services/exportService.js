@@ -0,0 +1,270 @@
+import { db } from '../db/index.js';
+import { users, dataExports } from '../db/schema.js';
+import { eq, and, lt, inArray } from 'drizzle-orm';
+import { LibraryService } from './libraryService.js';
+import { generateSecureToken, hashToken } from '../utils/crypto.js';
+import { sanitizeUser } from '../utils/user.js';
+import { toCsv } from '../utils/csv.js';
+import { buildMalXml } from '../utils/mal.js';
+import { HttpError } from '../utils/errors.js';
+
+const EXPORT_EXPIRES_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS || '24');
+// Exports with more items than this run in the background
+const INLINE_ITEM_LIMIT = parseInt(process.env.DATA_EXPORT_INLINE_LIMIT || '1000');
+// Background jobs are lost on restart; unfinished ones older than this are failed
+const EXPORT_TIMEOUT_MINUTES = parseInt(process.env.DATA_EXPORT_TIMEOUT_MINUTES || '15');
+
+export const EXPORT_FORMATS = ['json', 'csv', 'mal'];
+
+/**
+ * CSV columns per collection
+ */
+export const CSV_COLUMNS = {
+  favorites: ['animeId', 'title', 'poster', 'addedAt', 'updatedAt'],
+  watchlist: ['animeId', 'title', 'poster', 'status', 'addedAt', 'updatedAt'],
+  watchHistory: ['animeId', 'episodeId', 'episodeNumber', 'progress', 'completed', 'watchedAt', 'updatedAt']
+};
+
+function expiresFromNow() {
+  return new Date(Date.now() + EXPORT_EXPIRES_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Mark a user's unfinished exports that outlived the timeout as failed
+ */
+async function failStaleExports(userId) {
+  const now = new Date();
+
+  await db
+    .update(dataExports)
+    .set({ status: 'failed', error: 'Export timed out', completedAt: now })
+    .where(and(
+      eq(dataExports.userId, userId),
+      inArray(dataExports.status, ['pending', 'processing']),
+      lt(dataExports.createdAt, new Date(now.getTime() - EXPORT_TIMEOUT_MINUTES * 60 * 1000))
+    ));
+}
+
+/**
+ * Public view of an export job
+ */
+function serializeExport(record) {
+  return {
+    id: record.id,
+    format: record.format,
+    collection: record.collection,
+    status: record.status,
+    fileName: record.fileName,
+    error: record.error,
+    expiresAt: record.expiresAt,
+    completedAt: record.completedAt,
+    createdAt: record.createdAt
+  };
+}
+
+/**
+ * ExportService - Account data exports (JSON, CSV, MyAnimeList XML)
+ *
+ * Each export is a job row. Small exports are built before the request
+ * returns; larger ones are built in the background and polled. The file is
+ * downloaded with a token handed out once when the job is created.
+ */
+export class ExportService {
+  /**
+   * Start an export
+   * @param {number} userId - User ID
+   * @param {object} options - { format, collection } (collection for CSV)
+   * @returns {Promise<{ export: object, downloadToken: string }>}
+   */
+  static async requestExport(userId, { format, collection = null }) {
+    // Drop expired exports
+    await db.delete(dataExports).where(lt(dataExports.expiresAt, new Date()));
+    await failStaleExports(userId);
+
+    const [running] = await db
+      .select({ id: dataExports.id })
+      .from(dataExports)
+      .where(and(eq(dataExports.userId, userId), inArray(dataExports.status, ['pending', 'processing'])))
+      .limit(1);
+
+    if (running) {
+      throw new HttpError(409, 'An export is already in progress');
+    }
+
+    const downloadToken = generateSecureToken();
+
+    const [record] = await db
+      .insert(dataExports)
+      .values({
+        userId,
+        format,
+        collection: format === 'csv' ? collection : null,
+        status: 'pending',
+        tokenHash: hashToken(downloadToken),
+        expiresAt: expiresFromNow()
+      })
+      .returning();
+
+    const summary = await LibraryService.getSummary(userId);
+    const itemCount = summary.favorites + summary.watchlist.total + summary.watchHistory.total;
+
+    if (itemCount <= INLINE_ITEM_LIMIT) {
+      return { export: await this.processExport(record.id), downloadToken };
+    }
+
+    setImmediate(() => {
+      this.processExport(record.id).catch(error => {
+        console.error('Error processing data export:', error);
+      });
+    });
+
+    return { export: serializeExport(record), downloadToken };
+  }
+
+  /**
+   * Build the export file and mark the job ready (or failed)
+   */
+  static async processExport(exportId) {
+    const [record] = await db
+      .update(dataExports)
+      .set({ status: 'processing' })
+      .where(and(eq(dataExports.id, exportId), eq(dataExports.status, 'pending')))
+      .returning();
+
+    if (!record) {
+      throw new Error(`Export ${exportId} is not pending`);
+    }
+
+    let changes;
+    try {
+      const file = await this.buildExport(record.userId, record.format, record.collection);
+      changes = { status: 'ready', ...file, completedAt: new Date(), expiresAt: expiresFromNow() };
+    } catch (error) {
+      console.error('Error building data export:', error);
+      changes = { status: 'failed', error: 'Export failed', completedAt: new Date() };
+    }
+
+    const [updated] = await db
+      .update(dataExports)
+      .set(changes)
+      .where(eq(dataExports.id, exportId))
+      .returning();
+
+    return serializeExport(updated);
+  }
+
+  /**
+   * Render a user's data in an export format
+   * @returns {Promise<{ fileName: string, contentType: string, content: string }>}
+   */
+  static async buildExport(userId, format, collection) {
+    const [user] = await db.select().from(users).where(eq(users.id, userId)).limit(1);
+
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const baseName = `otazumi-${user.username}-${date}`;
+
+    if (format === 'csv') {
+      const { [collection]: items } = await LibraryService.query(userId, { collections: [collection] });
+
+      return {
+        fileName: `${baseName}-${collection}.csv`,
+        contentType: 'text/csv; charset=utf-8',
+        content: toCsv(CSV_COLUMNS[collection], items)
+      };
+    }
+
+    if (format === 'mal') {
+      const { watchlist, watchHistory } = await LibraryService.query(userId, {
+        collections: ['watchlist', 'watchHistory']
+      });
+
+      const watchedEpisodes = {};
+      for (const entry of watchHistory) {
+        if (entry.completed) {
+          watchedEpisodes[entry.animeId] = (watchedEpisodes[entry.animeId] || 0) + 1;
+        }
+      }
+
+      return {
+        fileName: `${baseName}-animelist.xml`,
+        contentType: 'application/xml; charset=utf-8',
+        content: buildMalXml(user.username, watchlist.map(entry => ({
+          ...entry,
+          watchedEpisodes: watchedEpisodes[entry.animeId]
+        })))
+      };
+    }
+
+    const { preferences, ...profile } = sanitizeUser(user);
+    const { favorites, watchlist, watchHistory } = await LibraryService.query(userId);
+
+    return {
+      fileName: `${baseName}.json`,
+      contentType: 'application/json; charset=utf-8',
+      content: JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        profile,
+        preferences,
+        favorites,
+        watchlist,
+        watchHistory
+      }, null, 2)
+    };
+  }
+
+  /**
+   * Get the status of one of the user's exports
+   */
+  static async getExport(userId, exportId) {
+    await failStaleExports(userId);
+
+    const [record] = await db
+      .select()
+      .from(dataExports)
+      .where(and(eq(dataExports.id, exportId), eq(dataExports.userId, userId)))
+      .limit(1);
+
+    if (!record) {
+      throw new HttpError(404, 'Export not found');
+    }
+
+    return serializeExport(record);
+  }
+
+  /**
+   * Get a ready export file by its download token
+   */
+  static async download(token) {
+    const [record] = await db
+      .select()
+      .from(dataExports)
+      .where(eq(dataExports.tokenHash, hashToken(token)))
+      .limit(1);
+
+    if (!record) {
+      throw new HttpError(404, 'Export not found');
+    }
+
+    if (record.expiresAt < new Date()) {
+      throw new HttpError(410, 'This export has expired');
+    }
+
+    if (record.status === 'failed') {
+      throw new HttpError(410, 'This export failed, please request a new one');
+    }
+
+    if (record.status !== 'ready') {
+      throw new HttpError(409, 'This export is not ready yet');
+    }
+
+    return {
+      fileName: record.fileName,
+      contentType: record.contentType,
+      content: record.content
+    };
+  }
+}
@@ -0,0 +1,208 @@
+import { db } from '../db/index.js';
+import { watchlist, watchHistory } from '../db/schema.js';
+import { eq, and, isNull, inArray } from 'drizzle-orm';
+import { SyncService } from './syncService.js';
+import { parseMalXml } from '../utils/mal.js';
+import { parseAniListJson } from '../utils/anilist.js';
+import { HttpError } from '../utils/errors.js';
+
+// Guards against absurd episode counts creating huge histories
+const MAX_EPISODES_PER_ENTRY = 5000;
+// Largest import accepted, in list entries and in watched episodes overall
+const MAX_ENTRIES = parseInt(process.env.IMPORT_MAX_ENTRIES || '5000');
+const MAX_EPISODES = parseInt(process.env.IMPORT_MAX_EPISODES || '50000');
+
+export const IMPORT_SOURCES = {
+  mal: { label: 'MyAnimeList', parse: parseMalXml },
+  anilist: { label: 'AniList', parse: parseAniListJson }
+};
+
+/**
+ * Check a parsed entry, returning an error message or null
+ */
+function validateEntry(entry) {
+  if (!entry.animeId) {
+    return 'Missing anime ID';
+  }
+  if (!entry.title) {
+    return 'Missing title';
+  }
+  if (!entry.status) {
+    return `Unknown status: ${entry.sourceStatus || '(empty)'}`;
+  }
+  if (!Number.isInteger(entry.watchedEpisodes) || entry.watchedEpisodes < 0 || entry.watchedEpisodes > MAX_EPISODES_PER_ENTRY) {
+    return 'Invalid watched episode count';
+  }
+  return null;
+}
+
+/**
+ * ImportService - Imports anime lists from MyAnimeList and AniList
+ *
+ * Entries become watchlist rows and watched episode counts become completed
+ * watch history rows (episode IDs `ep-<n>`), written through SyncService so
+ * other devices receive them on their next sync.
+ */
+export class ImportService {
+  /**
+   * Import (or preview) a list export
+   * Merge keeps existing entries and skips ones changed locally after the
+   * source's last update. Replace makes the watchlist match the import.
+   * Watch history is only ever added to.
+   * @param {number} userId - User ID
+   * @param {object} options - { source, data, mode, dryRun }
+   */
+  static async importList(userId, { source, data, mode = 'merge', dryRun = false }) {
+    const { label, parse } = IMPORT_SOURCES[source];
+    let parsed;
+
+    try {
+      parsed = parse(data);
+    } catch (error) {
+      throw new HttpError(400, `Could not read the ${label} export: ${error.message}`);
+    }
+
+    if (parsed.length > MAX_ENTRIES) {
+      throw new HttpError(413, `Imports are limited to ${MAX_ENTRIES} entries`);
+    }
+
+    const errors = [];
+    const entries = new Map();
+
+    parsed.forEach((entry, index) => {
+      const error = validateEntry(entry) ||
+        (entries.has(entry.animeId) ? 'Duplicate entry' : null);
+
+      if (error) {
+        errors.push({ index, animeId: entry.animeId, title: entry.title, error });
+        return;
+      }
+
+      entries.set(entry.animeId, { ...entry, updatedAt: entry.updatedAt || new Date() });
+    });
+
+    // Counted before skipping episodes already in the history, so the
+    // limit holds without expanding the list first
+    let totalEpisodes = 0;
+    for (const entry of entries.values()) {
+      totalEpisodes += entry.watchedEpisodes;
+    }
+
+    if (totalEpisodes > MAX_EPISODES) {
+      throw new HttpError(413, `Imports are limited to ${MAX_EPISODES} watched episodes`);
+    }
+
+    const animeIds = [...entries.keys()];
+
+    const existingWatchlist = await db
+      .select()
+      .from(watchlist)
+      .where(and(eq(watchlist.userId, userId), isNull(watchlist.deletedAt)));
+
+    const existingByAnime = new Map(existingWatchlist.map(row => [row.animeId, row]));
+
+    const watchedByAnime = new Map();
+    if (animeIds.length > 0) {
+      const history = await db
+        .select({ animeId: watchHistory.animeId, episodeNumber: watchHistory.episodeNumber })
+        .from(watchHistory)
+        .where(and(eq(watchHistory.userId, userId), inArray(watchHistory.animeId, animeIds), isNull(watchHistory.deletedAt)));
+
+      for (const { animeId, episodeNumber } of history) {
+        if (!watchedByAnime.has(animeId)) {
+          watchedByAnime.set(animeId, new Set());
+        }
+        watchedByAnime.get(animeId).add(episodeNumber);
+      }
+    }
+
+    const items = [];
+    const watchlistItems = [];
+    const historyItems = [];
+
+    for (const entry of entries.values()) {
+      const existing = existingByAnime.get(entry.animeId);
+      let action = existing ? 'update' : 'create';
+
+      if (existing && mode === 'merge' && existing.updatedAt > entry.updatedAt) {
+        action = 'skip';
+      }
+
+      // Episodes the user has not watched here yet
+      const watched = watchedByAnime.get(entry.animeId) || new Set();
+      const newEpisodes = [];
+      for (let episode = 1; episode <= entry.watchedEpisodes; episode++) {
+        if (!watched.has(episode)) {
+          newEpisodes.push(episode);
+        }
+      }
+
+      items.push({
+        animeId: entry.animeId,
+        title: entry.title,
+        status: entry.status,
+        watchedEpisodes: entry.watchedEpisodes,
+        action,
+        newEpisodes: newEpisodes.length
+      });
+
+      watchlistItems.push({
+        animeId: entry.animeId,
+        title: entry.title,
+        poster: entry.poster,
+        status: entry.status,
+        updatedAt: entry.updatedAt
+      });
+
+      historyItems.push(...newEpisodes.map(episode => ({
+        animeId: entry.animeId,
+        episodeId: `ep-${episode}`,
+        episodeNumber: episode,
+        completed: true,
+        watchedAt: entry.updatedAt,
+        updatedAt: entry.updatedAt
+      })));
+    }
+
+    const summary = {
+      watchlist: {
+        created: items.filter(item => item.action === 'create').length,
+        updated: items.filter(item => item.action === 'update').length,
+        skipped: items.filter(item => item.action === 'skip').length,
+        removed: mode === 'replace'
+          ? existingWatchlist.filter(row => !entries.has(row.animeId)).length
+          : 0
+      },
+      watchHistory: {
+        created: historyItems.length
+      },
+      errors: errors.length
+    };
+
+    if (!dryRun) {
+      // History first: it is only added to, so if the import fails partway
+      // nothing has been removed yet, and a retry skips the episodes already
+      // written. Replace mode tombstones the watchlist last.
+      const historyResult = await SyncService.applyChanges(userId, 'watchHistory', historyItems);
+      const watchlistResult = await SyncService.applyChanges(userId, 'watchlist', watchlistItems, {
+        replace: mode === 'replace'
+      });
+
+      errors.push(
+        ...watchlistResult.rejected.map(({ index, error }) => ({ animeId: watchlistItems[index].animeId, error })),
+        ...historyResult.rejected.map(({ index, error }) => ({ animeId: historyItems[index].animeId, error }))
+      );
+      summary.errors = errors.length;
+    }
+
+    return {
+      source,
+      mode,
+      dryRun,
+      summary,
+      items,
+      errors,
+      syncToken: dryRun ? undefined : await SyncService.getSyncToken(userId)
+    };
+  }
+}
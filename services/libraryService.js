@@ -0,0 +1,406 @@
+import { db } from '../db/index.js';
+import { favorites, watchlist, watchHistory } from '../db/schema.js';
+import { eq, and, isNull, asc, desc, gte, lte, count, countDistinct, sql } from 'drizzle-orm';
+import { serializeItem } from './syncService.js';
+import { HttpError } from '../utils/errors.js';
+
+const nextSyncVersion = sql`nextval('sync_version_seq')`;
+
+/**
+ * Library collections, keyed like their sync counterparts
+ * Sort columns: date (added / watched), updated and title. History has no
+ * title, so a title sort leaves it in its default order, newest first.
+ */
+const COLLECTIONS = {
+  favorites: {
+    table: favorites,
+    keyFields: ['animeId'],
+    label: 'Favorite',
+    sortColumns: { date: favorites.addedAt, updated: favorites.updatedAt, title: favorites.title }
+  },
+  watchlist: {
+    table: watchlist,
+    keyFields: ['animeId'],
+    label: 'Watchlist entry',
+    sortColumns: { date: watchlist.addedAt, updated: watchlist.updatedAt, title: watchlist.title }
+  },
+  watchHistory: {
+    table: watchHistory,
+    keyFields: ['animeId', 'episodeId'],
+    label: 'Watch history entry',
+    sortColumns: { date: watchHistory.watchedAt, updated: watchHistory.updatedAt }
+  }
+};
+
+export const LIBRARY_COLLECTIONS = Object.keys(COLLECTIONS);
+export const LIBRARY_SORTS = ['date', 'updated', 'title'];
+
+/**
+ * Conditions matching one user's row for a key
+ */
+function keyConditions(config, userId, key) {
+  return [
+    eq(config.table.userId, userId),
+    ...config.keyFields.map(field => eq(config.table[field], String(key[field])))
+  ];
+}
+
+/**
+ * Cursors are opaque to clients: base64url JSON holding the sort and the
+ * last (sort value, id) seen in each collection that has more items
+ */
+function encodeCursor(sort, order, positions) {
+  return Buffer.from(JSON.stringify({ sort, order, positions })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+
+  const valid = decoded && typeof decoded.positions === 'object' && decoded.positions !== null &&
+    Object.values(decoded.positions).every(position =>
+      Array.isArray(position) && typeof position[0] === 'string' && Number.isInteger(position[1]));
+
+  if (!valid) {
+    throw new HttpError(400, 'Invalid cursor');
+  }
+
+  if (decoded.sort !== sort || decoded.order !== order) {
+    throw new HttpError(400, 'Cursor was created with a different sort');
+  }
+
+  return decoded.positions;
+}
+
+/**
+ * Keep only the requested fields of a serialized item
+ */
+function pickFields(item, fields) {
+  if (!fields) {
+    return item;
+  }
+  return Object.fromEntries(fields.filter(field => field in item).map(field => [field, item[field]]));
+}
+
+/**
+ * Find a user's live (not deleted) row for a key
+ */
+async function findLiveRow(config, userId, key) {
+  const [row] = await db
+    .select()
+    .from(config.table)
+    .where(and(...keyConditions(config, userId, key), isNull(config.table.deletedAt)))
+    .limit(1);
+
+  if (!row) {
+    throw new HttpError(404, `${config.label} not found`);
+  }
+
+  return row;
+}
+
+/**
+ * LibraryService - Per-item changes to favorites, watchlist and watch history
+ *
+ * Writes go through the same rows as cloud sync: every change gets a new
+ * sync version and deletions are tombstones, so other devices pick them up
+ * on their next delta sync.
+ */
+export class LibraryService {
+  /**
+   * List live items of a collection, newest first
+   * @param {number} userId - User ID
+   * @param {string} name - favorites, watchlist or watchHistory
+   * @param {object} filters - Column filters, e.g. { animeId }
+   */
+  static async list(userId, name, filters = {}) {
+    const config = COLLECTIONS[name];
+    const conditions = [eq(config.table.userId, userId), isNull(config.table.deletedAt)];
+
+    for (const [field, value] of Object.entries(filters)) {
+      if (value !== undefined) {
+        conditions.push(eq(config.table[field], value));
+      }
+    }
+
+    const rows = await db
+      .select()
+      .from(config.table)
+      .where(and(...conditions))
+      .orderBy(desc(config.sortColumns.date));
+
+    return rows.map(row => serializeItem(name, row));
+  }
+
+  /**
+   * One page of a collection, using keyset pagination on (sort column, id)
+   * @param {object} options - { sort, order, limit, after, fields, animeId, status, completed, from, to }
+   *   `after` is the [sortValue, id] of the last item of the previous page.
+   *   status only filters the watchlist and completed only the history.
+   * @returns {Promise<{ items: object[], next: Array|null }>}
+   */
+  static async getPage(userId, name, options = {}) {
+    const config = COLLECTIONS[name];
+    const { table } = config;
+    const { limit, after, fields } = options;
+    const { sort, order } = config.sortColumns[options.sort || 'date']
+      ? { sort: options.sort || 'date', order: options.order || 'desc' }
+      : { sort: 'date', order: 'desc' }; // unsupported sort (history by title): default order
+    const column = config.sortColumns[sort];
+    const conditions = [eq(table.userId, userId), isNull(table.deletedAt)];
+
+    if (options.animeId !== undefined) {
+      conditions.push(eq(table.animeId, options.animeId));
+    }
+    if (options.status !== undefined && table.status) {
+      conditions.push(eq(table.status, options.status));
+    }
+    if (options.completed !== undefined && table.completed) {
+      conditions.push(eq(table.completed, options.completed));
+    }
+    if (options.from) {
+      conditions.push(gte(config.sortColumns.date, new Date(options.from)));
+    }
+    if (options.to) {
+      conditions.push(lte(config.sortColumns.date, new Date(options.to)));
+    }
+
+    if (after) {
+      const [value, id] = after;
+      conditions.push(order === 'asc'
+        ? sql`(${column}, ${table.id}) > (${value}, ${id})`
+        : sql`(${column}, ${table.id}) < (${value}, ${id})`);
+    }
+
+    const direction = order === 'asc' ? asc : desc;
+
+    // The sort value is read back as text so timestamps keep their full precision
+    let query = db
+      .select({ row: table, sortValue: sql`${column}::text` })
+      .from(table)
+      .where(and(...conditions))
+      .orderBy(direction(column), direction(table.id));
+
+    if (limit) {
+      query = query.limit(limit + 1);
+    }
+
+    const rows = await query;
+    const hasMore = Boolean(limit) && rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+      items: pageRows.map(({ row }) => pickFields(serializeItem(name, row), fields)),
+      next: hasMore ? [last.sortValue, last.row.id] : null
+    };
+  }
+
+  /**
+   * Page through several collections at once
+   * A cursor only continues the collections that still had items left.
+   * @param {object} options - getPage options plus { collections, cursor }
+   */
+  static async query(userId, options = {}) {
+    const { sort = 'date', cursor } = options;
+    const order = options.order || (sort === 'title' ? 'asc' : 'desc');
+    let collections = options.collections || LIBRARY_COLLECTIONS;
+    let positions = {};
+
+    if (cursor) {
+      positions = decodeCursor(cursor, sort, order);
+      collections = collections.filter(name => positions[name]);
+    }
+
+    const result = {};
+    const next = {};
+
+    for (const name of collections) {
+      const page = await this.getPage(userId, name, { ...options, sort, order, after: positions[name] });
+
+      result[name] = page.items;
+      if (page.next) {
+        next[name] = page.next;
+      }
+    }
+
+    result.nextCursor = Object.keys(next).length > 0 ? encodeCursor(sort, order, next) : null;
+
+    return result;
+  }
+
+  /**
+   * Item counts without the items
+   */
+  static async getSummary(userId) {
+    const [{ value: favoriteCount }] = await db
+      .select({ value: count() })
+      .from(favorites)
+      .where(and(eq(favorites.userId, userId), isNull(favorites.deletedAt)));
+
+    const statusCounts = await db
+      .select({ status: watchlist.status, value: count() })
+      .from(watchlist)
+      .where(and(eq(watchlist.userId, userId), isNull(watchlist.deletedAt)))
+      .groupBy(watchlist.status);
+
+    const [history] = await db
+      .select({
+        total: count(),
+        completed: count(sql`CASE WHEN ${watchHistory.completed} THEN 1 END`),
+        anime: countDistinct(watchHistory.animeId)
+      })
+      .from(watchHistory)
+      .where(and(eq(watchHistory.userId, userId), isNull(watchHistory.deletedAt)));
+
+    const byStatus = Object.fromEntries(statusCounts.map(({ status, value }) => [status, Number(value)]));
+
+    return {
+      favorites: Number(favoriteCount),
+      watchlist: {
+        total: Object.values(byStatus).reduce((sum, value) => sum + value, 0),
+        byStatus
+      },
+      watchHistory: {
+        total: Number(history.total),
+        completed: Number(history.completed),
+        anime: Number(history.anime)
+      }
+    };
+  }
+
+  /**
+   * Get one live item
+   */
+  static async getItem(userId, name, key) {
+    const row = await findLiveRow(COLLECTIONS[name], userId, key);
+    return serializeItem(name, row);
+  }
+
+  /**
+   * Add an item or overwrite the existing one for the same key
+   * A tombstoned item comes back to life.
+   * @returns {Promise<{ item: object, created: boolean }>}
+   */
+  static async upsertItem(userId, name, key, values) {
+    const config = COLLECTIONS[name];
+    const { table } = config;
+    const now = new Date();
+
+    const [existing] = await db
+      .select({ id: table.id, deletedAt: table.deletedAt })
+      .from(table)
+      .where(and(...keyConditions(config, userId, key)))
+      .limit(1);
+
+    const created = !existing || Boolean(existing.deletedAt);
+    const changes = { ...values, updatedAt: now, deletedAt: null, syncVersion: nextSyncVersion };
+
+    // Re-adding a deleted favorite or watchlist entry counts as adding it now
+    if (created && table.addedAt) {
+      changes.addedAt = now;
+    }
+
+    const [row] = await db
+      .insert(table)
+      .values({ userId, ...key, ...values, updatedAt: now })
+      .onConflictDoUpdate({
+        target: [table.userId, ...config.keyFields.map(field => table[field])],
+        set: changes
+      })
+      .returning();
+
+    return { item: serializeItem(name, row), created };
+  }
+
+  /**
+   * Change fields of a live item
+   */
+  static async updateItem(userId, name, key, values) {
+    const config = COLLECTIONS[name];
+    const row = await findLiveRow(config, userId, key);
+
+    const [updated] = await db
+      .update(config.table)
+      .set({ ...values, updatedAt: new Date(), syncVersion: nextSyncVersion })
+      .where(eq(config.table.id, row.id))
+      .returning();
+
+    return serializeItem(name, updated);
+  }
+
+  /**
+   * Delete live items matching a (partial) key, leaving tombstones
+   * @returns {Promise<number>} Number of items removed
+   */
+  static async removeItems(userId, name, key) {
+    const config = COLLECTIONS[name];
+    const conditions = [
+      eq(config.table.userId, userId),
+      isNull(config.table.deletedAt),
+      ...config.keyFields
+        .filter(field => key[field] !== undefined)
+        .map(field => eq(config.table[field], String(key[field])))
+    ];
+
+    const removed = await db
+      .update(config.table)
+      .set({ deletedAt: new Date(), updatedAt: new Date(), syncVersion: nextSyncVersion })
+      .where(and(...conditions))
+      .returning({ id: config.table.id });
+
+    if (removed.length === 0) {
+      throw new HttpError(404, `${config.label} not found`);
+    }
+
+    return removed.length;
+  }
+
+  /**
+   * Add an anime to favorites
+   */
+  static async addFavorite(userId, { animeId, title, poster }) {
+    return this.upsertItem(userId, 'favorites', { animeId }, { title, poster: poster || null });
+  }
+
+  /**
+   * Add an anime to the watchlist, or replace its entry
+   */
+  static async addToWatchlist(userId, { animeId, title, poster, status }) {
+    return this.upsertItem(userId, 'watchlist', { animeId }, {
+      title,
+      poster: poster || null,
+      status: status || 'plan_to_watch'
+    });
+  }
+
+  /**
+   * Update a watchlist entry (status, title, poster)
+   */
+  static async updateWatchlistItem(userId, animeId, updates) {
+    const changes = {};
+    for (const field of ['title', 'poster', 'status']) {
+      if (updates[field] !== undefined) {
+        changes[field] = updates[field];
+      }
+    }
+
+    return this.updateItem(userId, 'watchlist', { animeId }, changes);
+  }
+
+  /**
+   * Record progress on an episode
+   */
+  static async recordHistory(userId, { animeId, episodeId, episodeNumber, progress, completed, watchedAt }) {
+    return this.upsertItem(userId, 'watchHistory', { animeId, episodeId }, {
+      episodeNumber,
+      progress: progress || 0,
+      completed: completed || false,
+      watchedAt: watchedAt ? new Date(watchedAt) : new Date()
+    });
+  }
+}
@@ -0,0 +1,258 @@
+import { db } from '../db/index.js';
+import { users } from '../db/schema.js';
+import { eq, and, or, lt, lte, gte, isNull, isNotNull, sql } from 'drizzle-orm';
+import { SecurityEventService } from './securityEventService.js';
+import { hashPassword, verifyPassword } from './passwordHashers.js';
+import { sendAccountLockedEmail } from './emailService.js';
+import { generateSecureToken, hashToken } from '../utils/crypto.js';
+import { HttpError } from '../utils/errors.js';
+
+// Failures before the account is locked
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5');
+// First lock length; each further failure while locked out doubles it
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+// Delay after the first failure; doubles with every failure below the threshold
+const BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS || '1');
+// Failures older than this are forgotten
+const FAILURE_RESET_HOURS = 24;
+const MAX_LOCKOUT_MINUTES = FAILURE_RESET_HOURS * 60;
+
+const RESET_FIELDS = {
+  failedLoginAttempts: 0,
+  lastFailedLoginAt: null,
+  lockedUntil: null,
+  unlockTokenHash: null
+};
+
+/**
+ * 429 error telling the client how long to wait
+ */
+function throttledError(message, retryAfter) {
+  const error = new HttpError(429, message);
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Failures that still count (none once the reset window has passed)
+ */
+function activeFailures(user, now) {
+  if (!user.lastFailedLoginAt || now - user.lastFailedLoginAt > FAILURE_RESET_HOURS * 60 * 60 * 1000) {
+    return 0;
+  }
+  return user.failedLoginAttempts;
+}
+
+/**
+ * Replace a hash made with an old algorithm or weaker settings
+ * Only swaps the exact hash that was verified, so a password changed in the
+ * meantime is left alone. Failures are logged; the login still succeeds.
+ */
+async function rehashPassword(user, password) {
+  try {
+    await db
+      .update(users)
+      .set({ password: await hashPassword(password) })
+      .where(and(eq(users.id, user.id), eq(users.password, user.password)));
+  } catch (error) {
+    console.error('Error rehashing password:', error);
+  }
+}
+
+/**
+ * LoginLockoutService - Per-account protection against password guessing
+ *
+ * Every wrong password for an account makes the next attempt wait longer
+ * (1s, 2s, 4s, ...). At LOGIN_LOCKOUT_THRESHOLD failures the account is
+ * locked and the owner is emailed an unlock link. Attempts during a delay
+ * or lock are refused before the password is checked, wherever it comes
+ * from (login, changing the password, deleting the account).
+ *
+ * Each attempt is counted as a failure before it is checked and taken back
+ * when it succeeds, so parallel guesses cannot all slip through the same
+ * delay.
+ */
+export class LoginLockoutService {
+  /**
+   * Check a password, honoring and feeding the per-account lockout
+   * Every password re-check goes through here, so none of them can be used
+   * to guess without the delays. Refused and wrong attempts are recorded as
+   * failed `type` events.
+   * @param {object} options - { type, context, error, resetFailures } where error is
+   *   thrown for a wrong password and resetFailures: false keeps the count (a
+   *   second factor is still to come)
+   */
+  static async assertPassword(user, password, { type, context = {}, error, resetFailures = true }) {
+    let claimed;
+    try {
+      claimed = await this.claimAttempt(user);
+    } catch (lockError) {
+      await SecurityEventService.record({ userId: user.id, type, outcome: 'failure', context, details: { reason: 'locked' } });
+      throw lockError;
+    }
+
+    const { valid, needsRehash } = await verifyPassword(password, user.password);
+    if (!valid) {
+      await SecurityEventService.record({ userId: user.id, type, outcome: 'failure', context, details: { reason: 'invalid_password' } });
+      await this.recordFailure(user, claimed, context);
+      throw error;
+    }
+
+    if (resetFailures) {
+      await this.clear(user.id);
+    } else {
+      await this.releaseAttempt(user);
+    }
+
+    if (needsRehash) {
+      await rehashPassword(user, password);
+    }
+  }
+
+  /**
+   * Refuse a password attempt while the account is locked or cooling down
+   */
+  static assertCanAttempt(user) {
+    const now = new Date();
+
+    if (user.lockedUntil && user.lockedUntil > now) {
+      const minutes = Math.ceil((user.lockedUntil - now) / 60000);
+      throw throttledError(
+        `Account temporarily locked after too many failed attempts. Use the unlock link we emailed you or try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        Math.ceil((user.lockedUntil - now) / 1000)
+      );
+    }
+
+    const failures = activeFailures(user, now);
+    if (failures > 0 && failures < LOCKOUT_THRESHOLD) {
+      const retryAt = user.lastFailedLoginAt.getTime() + BACKOFF_BASE_SECONDS * 1000 * 2 ** (failures - 1);
+
+      if (retryAt > now.getTime()) {
+        const seconds = Math.ceil((retryAt - now.getTime()) / 1000);
+        throw throttledError(`Too many failed attempts. Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`, seconds);
+      }
+    }
+  }
+
+  /**
+   * Claim an attempt: count it as a failure if the account is not locked or
+   * cooling down, refusing it otherwise
+   * The check and the count are one UPDATE, so of several parallel attempts
+   * only those the delay allows get through.
+   * @returns {Promise<{ failedLoginAttempts: number, unlockTokenHash: string|null }>} Counts after the claim
+   */
+  static async claimAttempt(user) {
+    const now = new Date();
+    const resetBefore = new Date(now.getTime() - FAILURE_RESET_HOURS * 60 * 60 * 1000);
+
+    const [claimed] = await db
+      .update(users)
+      .set({
+        failedLoginAttempts: sql`CASE WHEN ${users.lastFailedLoginAt} IS NULL OR ${users.lastFailedLoginAt} < ${resetBefore} THEN 1 ELSE ${users.failedLoginAttempts} + 1 END`,
+        lastFailedLoginAt: now
+      })
+      .where(and(
+        eq(users.id, user.id),
+        or(isNull(users.lockedUntil), lte(users.lockedUntil, now)),
+        or(
+          isNull(users.lastFailedLoginAt),
+          lt(users.lastFailedLoginAt, resetBefore),
+          lte(users.failedLoginAttempts, 0),
+          gte(users.failedLoginAttempts, LOCKOUT_THRESHOLD),
+          sql`${users.lastFailedLoginAt} + ${BACKOFF_BASE_SECONDS} * power(2, ${users.failedLoginAttempts} - 1) * interval '1 second' <= ${now}`
+        )
+      ))
+      .returning({ failedLoginAttempts: users.failedLoginAttempts, unlockTokenHash: users.unlockTokenHash });
+
+    if (claimed) {
+      return claimed;
+    }
+
+    // Refused: explain with the current state
+    const [current] = await db.select().from(users).where(eq(users.id, user.id)).limit(1);
+    this.assertCanAttempt(current || user);
+    throw throttledError('Too many failed attempts. Try again in 1 second.', 1);
+  }
+
+  /**
+   * Take back a claimed attempt that succeeded but should not clear the
+   * failures (a second factor is still to come)
+   */
+  static async releaseAttempt(user) {
+    await db
+      .update(users)
+      .set({
+        failedLoginAttempts: sql`GREATEST(${users.failedLoginAttempts} - 1, 0)`,
+        lastFailedLoginAt: user.lastFailedLoginAt
+      })
+      .where(eq(users.id, user.id));
+  }
+
+  /**
+   * Lock the account once a claimed attempt that failed reaches the threshold
+   * @param {object} claimed - Counts returned by claimAttempt
+   */
+  static async recordFailure(user, claimed, context = {}) {
+    if (claimed.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+      return;
+    }
+
+    const now = new Date();
+    const lockMinutes = Math.min(
+      LOCKOUT_MINUTES * 2 ** (claimed.failedLoginAttempts - LOCKOUT_THRESHOLD),
+      MAX_LOCKOUT_MINUTES
+    );
+    const lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+
+    // One unlock link per lockout; repeated locks keep the emailed one valid
+    const unlockToken = claimed.unlockTokenHash ? null : generateSecureToken();
+
+    await db
+      .update(users)
+      .set({
+        lockedUntil,
+        ...(unlockToken && { unlockTokenHash: hashToken(unlockToken) })
+      })
+      .where(eq(users.id, user.id));
+
+    await SecurityEventService.record({
+      userId: user.id,
+      type: 'account_lock',
+      context,
+      details: { failedAttempts: claimed.failedLoginAttempts, lockedUntil }
+    });
+
+    if (unlockToken) {
+      await sendAccountLockedEmail(user.email, user.username, unlockToken, lockedUntil);
+    }
+  }
+
+  /**
+   * Clear all lockout state (after a password reset, for example)
+   */
+  static async clear(userId) {
+    await db
+      .update(users)
+      .set(RESET_FIELDS)
+      .where(eq(users.id, userId));
+  }
+
+  /**
+   * Unlock an account with the emailed token
+   */
+  static async unlock(unlockToken, context = {}) {
+    const [user] = await db
+      .update(users)
+      .set(RESET_FIELDS)
+      .where(and(eq(users.unlockTokenHash, hashToken(unlockToken)), isNotNull(users.lockedUntil)))
+      .returning({ id: users.id });
+
+    if (!user) {
+      throw new HttpError(400, 'Invalid or expired unlock token');
+    }
+
+    await SecurityEventService.record({ userId: user.id, type: 'account_unlock', context });
+
+    return user;
+  }
+}
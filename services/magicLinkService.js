@@ -0,0 +1,121 @@
+import { db } from '../db/index.js';
+import { magicLinkTokens } from '../db/schema.js';
+import { eq, and, gt, lt, isNull, desc, sql } from 'drizzle-orm';
+import { generateSecureToken, generateNumericCode, hashToken, safeCompare } from '../utils/crypto.js';
+import { HttpError } from '../utils/errors.js';
+
+// How long an emailed link and code stay valid
+const EXPIRES_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES || '15');
+// Wrong codes allowed before the code stops working
+const MAX_CODE_ATTEMPTS = parseInt(process.env.MAGIC_LINK_MAX_ATTEMPTS || '5');
+
+/**
+ * Mark a login token used, unless someone else got there first
+ */
+async function consume(id) {
+  const [consumed] = await db
+    .update(magicLinkTokens)
+    .set({ usedAt: new Date() })
+    .where(and(eq(magicLinkTokens.id, id), isNull(magicLinkTokens.usedAt)))
+    .returning({ userId: magicLinkTokens.userId });
+
+  return consumed ? consumed.userId : null;
+}
+
+/**
+ * MagicLinkService - Passwordless login by email
+ *
+ * Each request emails a one-click link and a 6-digit code for typing into
+ * the app. Both are stored as keyed hashes, expire after MAGIC_LINK_EXPIRES_MINUTES
+ * and work once; a newer request replaces the older one. A code stops
+ * working after MAGIC_LINK_MAX_ATTEMPTS wrong guesses.
+ */
+export class MagicLinkService {
+  /**
+   * Issue a link token and code for a user
+   * @returns {Promise<{ token: string, code: string, expiresAt: Date }>}
+   */
+  static async create(userId) {
+    const token = generateSecureToken();
+    const code = generateNumericCode(6);
+    const expiresAt = new Date(Date.now() + EXPIRES_MINUTES * 60 * 1000);
+
+    // Only the latest email works
+    await db
+      .update(magicLinkTokens)
+      .set({ usedAt: new Date() })
+      .where(and(eq(magicLinkTokens.userId, userId), isNull(magicLinkTokens.usedAt)));
+
+    await db.insert(magicLinkTokens).values({
+      userId,
+      tokenHash: hashToken(token),
+      codeHash: hashToken(code),
+      expiresAt
+    });
+
+    return { token, code, expiresAt };
+  }
+
+  /**
+   * Use the token from the emailed link
+   * @returns {Promise<number>} User ID
+   */
+  static async verifyToken(token) {
+    const [record] = await db
+      .select({ id: magicLinkTokens.id })
+      .from(magicLinkTokens)
+      .where(
+        and(
+          eq(magicLinkTokens.tokenHash, hashToken(token)),
+          isNull(magicLinkTokens.usedAt),
+          gt(magicLinkTokens.expiresAt, new Date())
+        )
+      )
+      .limit(1);
+
+    const userId = record && await consume(record.id);
+
+    if (!userId) {
+      throw new HttpError(400, 'Invalid or expired login link');
+    }
+
+    return userId;
+  }
+
+  /**
+   * Use the emailed code for a user
+   * @returns {Promise<number>} User ID
+   */
+  static async verifyCode(userId, code) {
+    const [latest] = await db
+      .select({ id: magicLinkTokens.id })
+      .from(magicLinkTokens)
+      .where(eq(magicLinkTokens.userId, userId))
+      .orderBy(desc(magicLinkTokens.createdAt), desc(magicLinkTokens.id))
+      .limit(1);
+
+    if (!latest) {
+      throw new HttpError(400, 'Invalid or expired login code');
+    }
+
+    // Counted before comparing so parallel guesses all use up attempts
+    const [record] = await db
+      .update(magicLinkTokens)
+      .set({ attempts: sql`${magicLinkTokens.attempts} + 1` })
+      .where(
+        and(
+          eq(magicLinkTokens.id, latest.id),
+          isNull(magicLinkTokens.usedAt),
+          gt(magicLinkTokens.expiresAt, new Date()),
+          lt(magicLinkTokens.attempts, MAX_CODE_ATTEMPTS)
+        )
+      )
+      .returning();
+
+    if (!record || !safeCompare(record.codeHash, hashToken(code)) || !(await consume(record.id))) {
+      throw new HttpError(400, 'Invalid or expired login code');
+    }
+
+    return userId;
+  }
+}
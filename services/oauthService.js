@@ -0,0 +1,64 @@
+import { db } from '../db/index.js';
+import { oauthStates } from '../db/schema.js';
+import { eq, and, gt, lt } from 'drizzle-orm';
+import { generateSecureToken, generateCodeVerifier, generateCodeChallenge, hashToken, safeCompare } from '../utils/crypto.js';
+import { HttpError } from '../utils/errors.js';
+
+/**
+ * OAuthService - Tracks pending OAuth authorization requests (state + PKCE)
+ *
+ * Each request also has a nonce that the client starting it keeps (in a
+ * cookie). The callback must present it, so a callback URL opened by
+ * anyone else (login CSRF, linking someone else's account) is refused.
+ */
+export class OAuthService {
+  /**
+   * Start an authorization request
+   * Pass userId when linking the provider to an existing account.
+   * Returns the state and PKCE challenge to send to the provider, and the
+   * nonce the client has to bring back to the callback
+   */
+  static async createState(provider, userId = null) {
+    const state = generateSecureToken(16);
+    const nonce = generateSecureToken();
+    const codeVerifier = generateCodeVerifier();
+    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+
+    // Drop abandoned requests
+    await db.delete(oauthStates).where(lt(oauthStates.expiresAt, new Date()));
+
+    await db.insert(oauthStates).values({
+      state,
+      provider,
+      userId,
+      nonceHash: hashToken(nonce),
+      codeVerifier,
+      expiresAt
+    });
+
+    return { state, nonce, codeChallenge: generateCodeChallenge(codeVerifier) };
+  }
+
+  /**
+   * Consume a state returned by the provider (single use)
+   * @param {string} nonce - Nonce from createState, kept by the client
+   */
+  static async consumeState(provider, state, nonce) {
+    const [record] = await db
+      .delete(oauthStates)
+      .where(
+        and(
+          eq(oauthStates.state, state),
+          eq(oauthStates.provider, provider),
+          gt(oauthStates.expiresAt, new Date())
+        )
+      )
+      .returning();
+
+    if (!record || !nonce || !safeCompare(record.nonceHash, hashToken(nonce))) {
+      throw new HttpError(400, 'Invalid or expired OAuth state');
+    }
+
+    return record;
+  }
+}
@@ -0,0 +1,309 @@
+import { db } from '../db/index.js';
+import { users, passkeys, webauthnChallenges } from '../db/schema.js';
+import { eq, and, gt, lt, desc } from 'drizzle-orm';
+import { SecurityEventService } from './securityEventService.js';
+import { generateSecureToken, hashToken } from '../utils/crypto.js';
+import {
+  COSE_ALGORITHMS,
+  readChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+} from '../utils/webauthn.js';
+import { HttpError } from '../utils/errors.js';
+
+// How long the browser has to finish a ceremony
+const CHALLENGE_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Relying party settings
+ * The RP ID defaults to the FRONTEND_URL host and the allowed origins to
+ * its origin. Native apps sign with their own origins (for example
+ * android:apk-key-hash:...), which go in WEBAUTHN_ORIGINS.
+ */
+function relyingParty() {
+  const frontend = process.env.FRONTEND_URL ? new URL(process.env.FRONTEND_URL) : null;
+
+  return {
+    id: process.env.WEBAUTHN_RP_ID || (frontend ? frontend.hostname : 'localhost'),
+    name: process.env.WEBAUTHN_RP_NAME || 'Otazumi',
+    origins: process.env.WEBAUTHN_ORIGINS
+      ? process.env.WEBAUTHN_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+      : [frontend ? frontend.origin : 'http://localhost']
+  };
+}
+
+/**
+ * Public view of a passkey
+ */
+function serializePasskey(passkey) {
+  return {
+    id: passkey.id,
+    name: passkey.name,
+    transports: passkey.transports || [],
+    backedUp: passkey.backedUp,
+    lastUsedAt: passkey.lastUsedAt,
+    createdAt: passkey.createdAt
+  };
+}
+
+/**
+ * Start a ceremony and remember its challenge
+ */
+async function createChallenge(type, userId = null) {
+  const challenge = generateSecureToken(32);
+  const encoded = Buffer.from(challenge, 'hex').toString('base64url');
+
+  // Drop abandoned ceremonies
+  await db.delete(webauthnChallenges).where(lt(webauthnChallenges.expiresAt, new Date()));
+
+  await db.insert(webauthnChallenges).values({
+    challengeHash: hashToken(encoded),
+    type,
+    userId,
+    expiresAt: new Date(Date.now() + CHALLENGE_TIMEOUT_MS)
+  });
+
+  return encoded;
+}
+
+/**
+ * Use up a challenge (single use)
+ */
+async function consumeChallenge(type, challenge, userId = null) {
+  if (!challenge) {
+    throw new HttpError(400, 'Invalid or expired passkey challenge');
+  }
+
+  const conditions = [
+    eq(webauthnChallenges.challengeHash, hashToken(challenge)),
+    eq(webauthnChallenges.type, type),
+    gt(webauthnChallenges.expiresAt, new Date())
+  ];
+  if (userId) {
+    conditions.push(eq(webauthnChallenges.userId, userId));
+  }
+
+  const [record] = await db
+    .delete(webauthnChallenges)
+    .where(and(...conditions))
+    .returning();
+
+  if (!record) {
+    throw new HttpError(400, 'Invalid or expired passkey challenge');
+  }
+}
+
+/**
+ * PasskeyService - WebAuthn passkey registration and sign-in
+ *
+ * Registration runs for a signed-in user; sign-in uses discoverable
+ * credentials, so the user picks a passkey without typing an email.
+ * Options are returned in the JSON form accepted by
+ * PublicKeyCredential.parseCreationOptionsFromJSON / parseRequestOptionsFromJSON.
+ */
+export class PasskeyService {
+  /**
+   * Options for navigator.credentials.create()
+   */
+  static async getRegistrationOptions(userId) {
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const existing = await db
+      .select({ credentialId: passkeys.credentialId, transports: passkeys.transports })
+      .from(passkeys)
+      .where(eq(passkeys.userId, userId));
+
+    const rp = relyingParty();
+
+    return {
+      challenge: await createChallenge('registration', userId),
+      rp: { id: rp.id, name: rp.name },
+      user: {
+        id: Buffer.from(String(user.id)).toString('base64url'),
+        name: user.email,
+        displayName: user.username
+      },
+      pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+      timeout: CHALLENGE_TIMEOUT_MS,
+      attestation: 'none',
+      authenticatorSelection: {
+        residentKey: 'required',
+        requireResidentKey: true,
+        userVerification: 'required'
+      },
+      excludeCredentials: existing.map(passkey => ({
+        type: 'public-key',
+        id: passkey.credentialId,
+        transports: passkey.transports || []
+      }))
+    };
+  }
+
+  /**
+   * Verify a new passkey and save it
+   */
+  static async register(userId, credential, name, context = {}) {
+    const challenge = readChallenge(credential);
+    await consumeChallenge('registration', challenge, userId);
+
+    const rp = relyingParty();
+    let verified;
+    try {
+      verified = verifyRegistrationResponse({
+        credential,
+        expectedChallenge: challenge,
+        expectedOrigins: rp.origins,
+        expectedRpId: rp.id
+      });
+    } catch (error) {
+      throw new HttpError(400, `Passkey registration failed: ${error.message}`);
+    }
+
+    const [existing] = await db
+      .select({ id: passkeys.id })
+      .from(passkeys)
+      .where(eq(passkeys.credentialId, verified.credentialId))
+      .limit(1);
+
+    if (existing) {
+      throw new HttpError(409, 'This passkey is already registered');
+    }
+
+    const [passkey] = await db
+      .insert(passkeys)
+      .values({
+        userId,
+        credentialId: verified.credentialId,
+        publicKey: verified.publicKey,
+        algorithm: verified.algorithm,
+        signCount: verified.signCount,
+        transports: verified.transports,
+        name: name || 'Passkey',
+        aaguid: verified.aaguid,
+        backedUp: verified.backedUp
+      })
+      .returning();
+
+    await SecurityEventService.record({ userId, type: 'passkey_register', context, details: { passkeyId: passkey.id } });
+
+    return serializePasskey(passkey);
+  }
+
+  /**
+   * Options for navigator.credentials.get() (any discoverable passkey)
+   */
+  static async getLoginOptions() {
+    return {
+      challenge: await createChallenge('authentication'),
+      rpId: relyingParty().id,
+      timeout: CHALLENGE_TIMEOUT_MS,
+      userVerification: 'required',
+      allowCredentials: []
+    };
+  }
+
+  /**
+   * Verify a passkey sign-in
+   * @returns {Promise<number>} ID of the passkey's owner
+   */
+  static async authenticate(credential) {
+    const challenge = readChallenge(credential);
+    await consumeChallenge('authentication', challenge);
+
+    const [passkey] = await db
+      .select()
+      .from(passkeys)
+      .where(eq(passkeys.credentialId, String(credential.id || '')))
+      .limit(1);
+
+    if (!passkey) {
+      throw new HttpError(401, 'Unknown passkey');
+    }
+
+    const rp = relyingParty();
+    let verified;
+    try {
+      verified = verifyAuthenticationResponse({
+        credential,
+        expectedChallenge: challenge,
+        expectedOrigins: rp.origins,
+        expectedRpId: rp.id,
+        publicKey: passkey.publicKey,
+        signCount: passkey.signCount
+      });
+    } catch (error) {
+      throw new HttpError(401, `Passkey sign-in failed: ${error.message}`);
+    }
+
+    if (verified.userHandle && verified.userHandle !== Buffer.from(String(passkey.userId)).toString('base64url')) {
+      throw new HttpError(401, 'Passkey sign-in failed: user handle does not match');
+    }
+
+    // Compare-and-set, so two sign-ins with the same counter cannot both pass
+    const [updated] = await db
+      .update(passkeys)
+      .set({ signCount: verified.signCount, backedUp: verified.backedUp, lastUsedAt: new Date() })
+      .where(and(eq(passkeys.id, passkey.id), eq(passkeys.signCount, passkey.signCount)))
+      .returning({ id: passkeys.id });
+
+    if (!updated) {
+      throw new HttpError(401, 'Passkey sign-in failed: signature counter did not increase');
+    }
+
+    return passkey.userId;
+  }
+
+  /**
+   * A user's passkeys, newest first
+   */
+  static async listPasskeys(userId) {
+    const rows = await db
+      .select()
+      .from(passkeys)
+      .where(eq(passkeys.userId, userId))
+      .orderBy(desc(passkeys.createdAt), desc(passkeys.id));
+
+    return rows.map(serializePasskey);
+  }
+
+  /**
+   * Give a passkey a friendlier name
+   */
+  static async renamePasskey(userId, passkeyId, name) {
+    const [passkey] = await db
+      .update(passkeys)
+      .set({ name })
+      .where(and(eq(passkeys.id, passkeyId), eq(passkeys.userId, userId)))
+      .returning();
+
+    if (!passkey) {
+      throw new HttpError(404, 'Passkey not found');
+    }
+
+    return serializePasskey(passkey);
+  }
+
+  /**
+   * Remove a passkey
+   */
+  static async removePasskey(userId, passkeyId, context = {}) {
+    const [passkey] = await db
+      .delete(passkeys)
+      .where(and(eq(passkeys.id, passkeyId), eq(passkeys.userId, userId)))
+      .returning({ id: passkeys.id });
+
+    if (!passkey) {
+      throw new HttpError(404, 'Passkey not found');
+    }
+
+    await SecurityEventService.record({ userId, type: 'passkey_remove', context, details: { passkeyId } });
+  }
+}
@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import bcrypt from 'bcryptjs';
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Password hashers
+ *
+ * Every hasher exposes the same interface:
+ *   hash(password) => Promise<string>
+ *   verify(password, hash) => Promise<boolean>
+ *   identifies(hash) => boolean      (the hash was made by this algorithm)
+ *   needsRehash(hash) => boolean     (made with weaker parameters than configured)
+ *
+ * New hashes use the hasher selected by PASSWORD_HASHER: scrypt (default)
+ * or bcrypt. Hashes from any hasher keep verifying, so switching needs no
+ * migration: verifyPassword() flags outdated hashes and the login replaces
+ * them.
+ *
+ * With PASSWORD_PEPPER set, passwords are first HMACed with the pepper and
+ * the stored hash is prefixed with $pepper$. The pepper lives only in the
+ * environment, so a leaked database alone cannot be cracked.
+ */
+
+const PEPPER_PREFIX = '$pepper$';
+
+/**
+ * bcrypt (cost = log2 rounds, BCRYPT_ROUNDS)
+ */
+export function createBcryptHasher({ rounds = parseInt(process.env.BCRYPT_ROUNDS || '12') } = {}) {
+  return {
+    name: 'bcrypt',
+
+    hash(password) {
+      return bcrypt.hash(password, rounds);
+    },
+
+    verify(password, hash) {
+      return bcrypt.compare(password, hash);
+    },
+
+    identifies(hash) {
+      return /^\$2[abxy]?\$\d{2}\$/.test(hash);
+    },
+
+    needsRehash(hash) {
+      return bcrypt.getRounds(hash) < rounds;
+    }
+  };
+}
+
+/**
+ * scrypt from Node's crypto module, stored as
+ * $scrypt$ln=<log2 N>,r=<block size>,p=<parallelism>$<salt>$<hash> (base64)
+ * SCRYPT_COST sets log2 N; memory use is 128 * N * r bytes (32 MiB by default).
+ */
+export function createScryptHasher({
+  cost = parseInt(process.env.SCRYPT_COST || '15'),
+  blockSize = 8,
+  parallelization = 1
+} = {}) {
+  const KEY_LENGTH = 32;
+
+  const derive = (password, salt, params) => scrypt(password, salt, KEY_LENGTH, {
+    N: 2 ** params.ln,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * 2 ** params.ln * params.r
+  });
+
+  const parse = hash => {
+    const match = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/.exec(hash);
+    if (!match) {
+      return null;
+    }
+    return {
+      ln: parseInt(match[1]),
+      r: parseInt(match[2]),
+      p: parseInt(match[3]),
+      salt: Buffer.from(match[4], 'base64'),
+      key: Buffer.from(match[5], 'base64')
+    };
+  };
+
+  return {
+    name: 'scrypt',
+
+    async hash(password) {
+      const params = { ln: cost, r: blockSize, p: parallelization };
+      const salt = crypto.randomBytes(16);
+      const key = await derive(password, salt, params);
+
+      return `$scrypt$ln=${params.ln},r=${params.r},p=${params.p}$${salt.toString('base64').replace(/=+$/, '')}$${key.toString('base64').replace(/=+$/, '')}`;
+    },
+
+    async verify(password, hash) {
+      const params = parse(hash);
+      if (!params) {
+        return false;
+      }
+
+      const key = await derive(password, params.salt, params);
+      return key.length === params.key.length && crypto.timingSafeEqual(key, params.key);
+    },
+
+    identifies(hash) {
+      return hash.startsWith('$scrypt$');
+    },
+
+    needsRehash(hash) {
+      const params = parse(hash);
+      return !params || params.ln < cost || params.r < blockSize || params.p < parallelization;
+    }
+  };
+}
+
+const hasherFactories = {
+  scrypt: createScryptHasher,
+  bcrypt: createBcryptHasher
+};
+
+/**
+ * Create the hasher selected by PASSWORD_HASHER
+ */
+export function createPasswordHasher(name = process.env.PASSWORD_HASHER || 'scrypt') {
+  const factory = hasherFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown password hasher: ${name}`);
+  }
+
+  return factory();
+}
+
+const currentHasher = createPasswordHasher();
+const hashers = Object.keys(hasherFactories).map(name => (
+  name === currentHasher.name ? currentHasher : createPasswordHasher(name)
+));
+
+/**
+ * Key the password with PASSWORD_PEPPER
+ */
+function applyPepper(password) {
+  const pepper = process.env.PASSWORD_PEPPER;
+
+  if (!pepper) {
+    throw new Error('PASSWORD_PEPPER is required to verify peppered password hashes');
+  }
+
+  return crypto.createHmac('sha256', pepper).update(password).digest('base64');
+}
+
+/**
+ * Hash a password with the configured hasher (and pepper, if set)
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} Hash to store
+ */
+export async function hashPassword(password) {
+  if (process.env.PASSWORD_PEPPER) {
+    return PEPPER_PREFIX + await currentHasher.hash(applyPepper(password));
+  }
+
+  return currentHasher.hash(password);
+}
+
+/**
+ * Check a password against a stored hash from any supported hasher
+ * @param {string} password - Plaintext password
+ * @param {string} storedHash - Hash from the database
+ * @returns {Promise<{ valid: boolean, needsRehash: boolean }>} needsRehash is
+ *   set when the hash uses another algorithm, weaker parameters or a different
+ *   pepper setting than new hashes would
+ */
+export async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  const peppered = storedHash.startsWith(PEPPER_PREFIX);
+  const hash = peppered ? storedHash.slice(PEPPER_PREFIX.length) : storedHash;
+  const hasher = hashers.find(candidate => candidate.identifies(hash));
+
+  if (!hasher) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const valid = await hasher.verify(peppered ? applyPepper(password) : password, hash);
+
+  return {
+    valid,
+    needsRehash: valid && (
+      hasher !== currentHasher ||
+      currentHasher.needsRehash(hash) ||
+      peppered !== Boolean(process.env.PASSWORD_PEPPER)
+    )
+  };
+}
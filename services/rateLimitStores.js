@@ -0,0 +1,121 @@
+import { MemoryStore } from 'express-rate-limit';
+import { db } from '../db/index.js';
+import { rateLimits } from '../db/schema.js';
+import { eq, and, gt, lte, like, sql } from 'drizzle-orm';
+
+/**
+ * Rate limit stores
+ *
+ * Every store implements the express-rate-limit store interface:
+ *   init(options), get(key), increment(key) => { totalHits, resetTime },
+ *   decrement(key), resetKey(key), resetAll()
+ *
+ * Pick one with RATE_LIMIT_STORE: database (default) or memory. The memory
+ * store is per process, so on serverless hosts every cold start and every
+ * instance gets its own counters.
+ */
+
+/**
+ * In-process store (counters are lost on restart)
+ */
+export function createMemoryStore() {
+  return new MemoryStore();
+}
+
+/**
+ * Postgres store - one row per key in rate_limits
+ * Shared by every instance. Increments are a single upsert, so concurrent
+ * requests are all counted, and a window that has ended restarts on the
+ * next hit. Ended windows are deleted at most once per window.
+ */
+export function createDatabaseStore(prefix) {
+  let windowMs = 60 * 1000;
+  let lastCleanup = 0;
+
+  const fullKey = key => `${prefix}:${key}`;
+
+  function cleanup() {
+    if (Date.now() - lastCleanup < windowMs) {
+      return;
+    }
+    lastCleanup = Date.now();
+
+    db.delete(rateLimits)
+      .where(and(like(rateLimits.key, `${prefix}:%`), lte(rateLimits.resetAt, new Date())))
+      .catch(error => console.error('Error cleaning up rate limits:', error));
+  }
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const [row] = await db
+        .select()
+        .from(rateLimits)
+        .where(and(eq(rateLimits.key, fullKey(key)), gt(rateLimits.resetAt, new Date())))
+        .limit(1);
+
+      return row ? { totalHits: row.hits, resetTime: row.resetAt } : undefined;
+    },
+
+    async increment(key) {
+      const now = new Date();
+      const resetAt = new Date(now.getTime() + windowMs);
+
+      const [row] = await db
+        .insert(rateLimits)
+        .values({ key: fullKey(key), hits: 1, resetAt })
+        .onConflictDoUpdate({
+          target: rateLimits.key,
+          set: {
+            hits: sql`CASE WHEN ${rateLimits.resetAt} <= ${now} THEN 1 ELSE ${rateLimits.hits} + 1 END`,
+            resetAt: sql`CASE WHEN ${rateLimits.resetAt} <= ${now} THEN ${resetAt} ELSE ${rateLimits.resetAt} END`
+          }
+        })
+        .returning();
+
+      cleanup();
+
+      return { totalHits: row.hits, resetTime: row.resetAt };
+    },
+
+    async decrement(key) {
+      await db
+        .update(rateLimits)
+        .set({ hits: sql`GREATEST(${rateLimits.hits} - 1, 0)` })
+        .where(and(eq(rateLimits.key, fullKey(key)), gt(rateLimits.resetAt, new Date())));
+    },
+
+    async resetKey(key) {
+      await db.delete(rateLimits).where(eq(rateLimits.key, fullKey(key)));
+    },
+
+    async resetAll() {
+      await db.delete(rateLimits).where(like(rateLimits.key, `${prefix}:%`));
+    }
+  };
+}
+
+const storeFactories = {
+  database: createDatabaseStore,
+  memory: createMemoryStore
+};
+
+/**
+ * Create the store selected by RATE_LIMIT_STORE
+ * @param {string} prefix - Namespace keeping each limiter's keys apart
+ */
+export function createRateLimitStore(prefix, name = process.env.RATE_LIMIT_STORE || 'database') {
+  const factory = storeFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+
+  return factory(prefix);
+}
@@ -0,0 +1,169 @@
+import { db } from '../db/index.js';
+import { securityEvents } from '../db/schema.js';
+import { eq, and, gte, lte, lt, desc, count } from 'drizzle-orm';
+import { SettingsService } from './settingsService.js';
+
+export const SECURITY_EVENT_TYPES = [
+  'register',
+  'login',
+  'magic_link_request',
+  'password_change',
+  'password_set',
+  'password_reset_request',
+  'password_reset',
+  'email_verification',
+  'email_change_request',
+  'email_change',
+  'profile_update',
+  'identity_link',
+  'identity_unlink',
+  'passkey_register',
+  'passkey_remove',
+  'two_factor_enable',
+  'two_factor_disable',
+  'two_factor_backup_codes',
+  'account_lock',
+  'account_unlock',
+  'account_deletion',
+  'account_restore',
+  'account_ban',
+  'account_unban',
+  'account_verify',
+  'account_unverify',
+  'session_revoke'
+];
+
+export const SECURITY_EVENT_OUTCOMES = ['success', 'failure'];
+
+/**
+ * Public view of an event
+ */
+function serializeEvent(event) {
+  return {
+    id: event.id,
+    userId: event.userId,
+    type: event.type,
+    outcome: event.outcome,
+    ipAddress: event.ipAddress,
+    userAgent: event.userAgent,
+    details: event.details,
+    createdAt: event.createdAt
+  };
+}
+
+/**
+ * SecurityEventService - Append-only audit log of security-relevant actions
+ *
+ * Events are only ever inserted; the sole deletion is pruning events older
+ * than the retention period.
+ */
+export class SecurityEventService {
+  /**
+   * Record an event
+   * Failures are logged, not thrown, so auditing never breaks the request
+   * @param {object} event - { userId, type, outcome, context: { ipAddress, userAgent }, details }
+   */
+  static async record({ userId = null, type, outcome = 'success', context = {}, details = null }) {
+    try {
+      await db.insert(securityEvents).values({
+        userId,
+        type,
+        outcome,
+        ipAddress: context.ipAddress || null,
+        userAgent: context.userAgent || null,
+        details
+      });
+    } catch (error) {
+      console.error(`Error recording ${type} security event:`, error);
+    }
+  }
+
+  /**
+   * Search events, newest first
+   * @param {object} filters - { userId, type, outcome, ipAddress, from, to, limit, offset }
+   * @returns {Promise<{ events: object[], total: number }>}
+   */
+  static async query({ userId, type, outcome, ipAddress, from, to, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+
+    if (userId !== undefined) {
+      conditions.push(eq(securityEvents.userId, userId));
+    }
+    if (type) {
+      conditions.push(eq(securityEvents.type, type));
+    }
+    if (outcome) {
+      conditions.push(eq(securityEvents.outcome, outcome));
+    }
+    if (ipAddress) {
+      conditions.push(eq(securityEvents.ipAddress, ipAddress));
+    }
+    if (from) {
+      conditions.push(gte(securityEvents.createdAt, new Date(from)));
+    }
+    if (to) {
+      conditions.push(lte(securityEvents.createdAt, new Date(to)));
+    }
+
+    const where = conditions.length > 0 ? and(...conditions) : undefined;
+
+    const events = await db
+      .select()
+      .from(securityEvents)
+      .where(where)
+      .orderBy(desc(securityEvents.createdAt), desc(securityEvents.id))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ value: total }] = await db
+      .select({ value: count() })
+      .from(securityEvents)
+      .where(where);
+
+    return { events: events.map(serializeEvent), total: Number(total) };
+  }
+
+  /**
+   * A user's own events
+   */
+  static async getUserEvents(userId, filters = {}) {
+    return this.query({ ...filters, userId });
+  }
+
+  /**
+   * Current retention period and where it comes from
+   */
+  static async getRetention() {
+    const override = await SettingsService.get('securityEventRetentionDays');
+
+    return {
+      retentionDays: await SettingsService.getSecurityEventRetentionDays(),
+      override,
+      default: parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS || '90')
+    };
+  }
+
+  /**
+   * Override the retention period; null goes back to SECURITY_EVENT_RETENTION_DAYS
+   */
+  static async setRetention(adminId, days) {
+    await SettingsService.set('securityEventRetentionDays', days, adminId);
+    return this.getRetention();
+  }
+
+  /**
+   * Delete events older than the retention period
+   * @returns {Promise<number>} Number of events deleted
+   */
+  static async pruneExpired() {
+    const days = await SettingsService.getSecurityEventRetentionDays();
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const deleted = await db
+      .delete(securityEvents)
+      .where(lt(securityEvents.createdAt, cutoff))
+      .returning({ id: securityEvents.id });
+
+    return deleted.length;
+  }
+}
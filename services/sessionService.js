@@ -0,0 +1,278 @@
+import { db } from '../db/index.js';
+import { sessions, refreshTokens } from '../db/schema.js';
+import { eq, and, gt, lt, ne, isNull, desc } from 'drizzle-orm';
+import { SecurityEventService } from './securityEventService.js';
+import { generateSecureToken, hashToken } from '../utils/crypto.js';
+import { HttpError } from '../utils/errors.js';
+
+// How stale last-seen may get before a request refreshes it
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Refresh token lifetime in milliseconds
+ */
+function refreshTokenTtl() {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30');
+  return days * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Public view of a session
+ */
+function serializeSession(session) {
+  return {
+    id: session.id,
+    deviceName: session.deviceName,
+    platform: session.platform,
+    appVersion: session.appVersion,
+    ipAddress: session.ipAddress,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+/**
+ * Sessions that have not been revoked or expired
+ */
+function activeSessionConditions(...conditions) {
+  return and(...conditions, isNull(sessions.revokedAt), gt(sessions.expiresAt, new Date()));
+}
+
+/**
+ * SessionService - Handles server-side sessions and refresh token rotation
+ *
+ * Every login creates a session. The session owns a family of refresh
+ * tokens: each refresh consumes the current token and issues the next one.
+ * Presenting an already consumed token means it was copied, so the whole
+ * session is revoked.
+ */
+export class SessionService {
+  /**
+   * Create a session and its first refresh token
+   * @param {object} context - Device details from getRequestContext
+   */
+  static async createSession(userId, context = {}) {
+    const expiresAt = new Date(Date.now() + refreshTokenTtl());
+
+    const [session] = await db
+      .insert(sessions)
+      .values({
+        userId,
+        expiresAt,
+        deviceName: context.deviceName || null,
+        platform: context.platform || null,
+        appVersion: context.appVersion || null,
+        ipAddress: context.ipAddress || null,
+        userAgent: context.userAgent || null
+      })
+      .returning();
+
+    const refreshToken = await this.issueRefreshToken(session.id, expiresAt);
+
+    return { sessionId: session.id, refreshToken };
+  }
+
+  /**
+   * Store a new refresh token for a session and return its plaintext value
+   */
+  static async issueRefreshToken(sessionId, expiresAt) {
+    const refreshToken = generateSecureToken();
+
+    await db.insert(refreshTokens).values({
+      sessionId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt
+    });
+
+    return refreshToken;
+  }
+
+  /**
+   * Consume a refresh token and issue the next one in its family
+   */
+  static async rotateRefreshToken(refreshToken, context = {}) {
+    const [record] = await db
+      .select({ token: refreshTokens, session: sessions })
+      .from(refreshTokens)
+      .innerJoin(sessions, eq(refreshTokens.sessionId, sessions.id))
+      .where(eq(refreshTokens.tokenHash, hashToken(refreshToken)))
+      .limit(1);
+
+    if (!record) {
+      throw new HttpError(401, 'Invalid refresh token');
+    }
+
+    const { token, session } = record;
+
+    if (session.revokedAt || session.expiresAt <= new Date() || token.expiresAt <= new Date()) {
+      throw new HttpError(401, 'Invalid or expired refresh token');
+    }
+
+    if (token.usedAt) {
+      await this.revokeSession(session.id, 'refresh_token_reuse');
+      throw new HttpError(401, 'Refresh token reuse detected. Please log in again.');
+    }
+
+    // Mark as used only if nobody else got there first
+    const [consumed] = await db
+      .update(refreshTokens)
+      .set({ usedAt: new Date() })
+      .where(and(eq(refreshTokens.id, token.id), isNull(refreshTokens.usedAt)))
+      .returning();
+
+    if (!consumed) {
+      await this.revokeSession(session.id, 'refresh_token_reuse');
+      throw new HttpError(401, 'Refresh token reuse detected. Please log in again.');
+    }
+
+    const nextToken = await this.issueRefreshToken(session.id, session.expiresAt);
+
+    await db
+      .update(sessions)
+      .set({
+        lastUsedAt: new Date(),
+        ...(context.ipAddress && { ipAddress: context.ipAddress }),
+        ...(context.appVersion && { appVersion: context.appVersion })
+      })
+      .where(eq(sessions.id, session.id));
+
+    return {
+      userId: session.userId,
+      sessionId: session.id,
+      refreshToken: nextToken
+    };
+  }
+
+  /**
+   * Load a session if it can still be used
+   * @returns {Promise<{ id: string, userId: string, lastUsedAt: Date, createdAt: Date }|null>}
+   */
+  static async getActiveSession(sessionId) {
+    const [session] = await db
+      .select({ id: sessions.id, userId: sessions.userId, lastUsedAt: sessions.lastUsedAt, createdAt: sessions.createdAt })
+      .from(sessions)
+      .where(activeSessionConditions(eq(sessions.id, sessionId)))
+      .limit(1);
+
+    return session || null;
+  }
+
+  /**
+   * Check whether a session can still be used
+   */
+  static async isSessionActive(sessionId) {
+    return Boolean(await this.getActiveSession(sessionId));
+  }
+
+  /**
+   * Update last-seen for a session in use
+   * Writes at most once per LAST_SEEN_INTERVAL_MS and never blocks or fails
+   * the request.
+   */
+  static touchSession(session, context = {}) {
+    const staleBefore = new Date(Date.now() - LAST_SEEN_INTERVAL_MS);
+
+    if (session.lastUsedAt && session.lastUsedAt > staleBefore) {
+      return;
+    }
+
+    db.update(sessions)
+      .set({
+        lastUsedAt: new Date(),
+        ...(context.ipAddress && { ipAddress: context.ipAddress })
+      })
+      .where(and(eq(sessions.id, session.id), lt(sessions.lastUsedAt, staleBefore)))
+      .catch(error => console.error('Error updating session last seen:', error));
+  }
+
+  /**
+   * A user's active sessions, most recently used first
+   */
+  static async listSessions(userId) {
+    const rows = await db
+      .select()
+      .from(sessions)
+      .where(activeSessionConditions(eq(sessions.userId, userId)))
+      .orderBy(desc(sessions.lastUsedAt));
+
+    return rows.map(serializeSession);
+  }
+
+  /**
+   * Sign out one of a user's own sessions
+   */
+  static async revokeUserSession(userId, sessionId, context = {}) {
+    const [session] = await db
+      .update(sessions)
+      .set({ revokedAt: new Date(), revokedReason: 'remote_logout' })
+      .where(activeSessionConditions(eq(sessions.id, sessionId), eq(sessions.userId, userId)))
+      .returning({ id: sessions.id });
+
+    if (!session) {
+      throw new HttpError(404, 'Session not found');
+    }
+
+    await SecurityEventService.record({
+      userId,
+      type: 'session_revoke',
+      context,
+      details: { reason: 'remote_logout', sessionIds: [session.id] }
+    });
+  }
+
+  /**
+   * Revoke every active session of a user except the one in use
+   * @param {string|null} keepSessionId - Session to keep (null revokes all)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeOtherSessions(userId, keepSessionId, reason = 'remote_logout', context = {}) {
+    const revoked = await db
+      .update(sessions)
+      .set({ revokedAt: new Date(), revokedReason: reason })
+      .where(
+        and(
+          eq(sessions.userId, userId),
+          isNull(sessions.revokedAt),
+          keepSessionId ? ne(sessions.id, keepSessionId) : undefined
+        )
+      )
+      .returning({ id: sessions.id });
+
+    if (revoked.length > 0) {
+      await SecurityEventService.record({
+        userId,
+        type: 'session_revoke',
+        context,
+        details: { reason, sessionIds: revoked.map(session => session.id) }
+      });
+    }
+
+    return revoked.length;
+  }
+
+  /**
+   * Revoke a session and with it every refresh token in its family
+   */
+  static async revokeSession(sessionId, reason = 'logout') {
+    await db
+      .update(sessions)
+      .set({ revokedAt: new Date(), revokedReason: reason })
+      .where(and(eq(sessions.id, sessionId), isNull(sessions.revokedAt)));
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeAllSessions(userId, reason = 'logout_all') {
+    const revoked = await db
+      .update(sessions)
+      .set({ revokedAt: new Date(), revokedReason: reason })
+      .where(and(eq(sessions.userId, userId), isNull(sessions.revokedAt)))
+      .returning({ id: sessions.id });
+
+    return revoked.length;
+  }
+}
@@ -0,0 +1,58 @@
+import { db } from '../db/index.js';
+import { appSettings } from '../db/schema.js';
+import { eq } from 'drizzle-orm';
+
+/**
+ * SettingsService - Runtime settings stored in app_settings
+ * A missing setting means "use the environment default".
+ */
+export class SettingsService {
+  /**
+   * Get a setting's value, or null when it is not set
+   */
+  static async get(key) {
+    const [setting] = await db
+      .select()
+      .from(appSettings)
+      .where(eq(appSettings.key, key))
+      .limit(1);
+
+    return setting ? setting.value : null;
+  }
+
+  /**
+   * Set a setting; null removes it
+   */
+  static async set(key, value, updatedBy = null) {
+    if (value === null || value === undefined) {
+      await db.delete(appSettings).where(eq(appSettings.key, key));
+      return null;
+    }
+
+    await db
+      .insert(appSettings)
+      .values({ key, value, updatedBy, updatedAt: new Date() })
+      .onConflictDoUpdate({
+        target: appSettings.key,
+        set: { value, updatedBy, updatedAt: new Date() }
+      });
+
+    return value;
+  }
+
+  /**
+   * Daily signup limit: the admin override, else DAILY_SIGNUP_LIMIT
+   */
+  static async getDailySignupLimit() {
+    const override = await this.get('dailySignupLimit');
+    return override ?? parseInt(process.env.DAILY_SIGNUP_LIMIT || '300');
+  }
+
+  /**
+   * Days security events are kept: the admin override, else SECURITY_EVENT_RETENTION_DAYS
+   */
+  static async getSecurityEventRetentionDays() {
+    const override = await this.get('securityEventRetentionDays');
+    return override ?? parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS || '90');
+  }
+}
@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import { db } from '../db/index.js';
+import { signingKeys } from '../db/schema.js';
+import { and, or, eq, gt, lt, isNull, desc } from 'drizzle-orm';
+
+// Algorithm for new keys: RS256 (2048-bit RSA) or EdDSA (Ed25519)
+const ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
+// Age at which the signing key is replaced
+const ROTATION_DAYS = parseInt(process.env.JWT_KEY_ROTATION_DAYS || '30');
+// How long keys are reused before checking the database for newer ones
+const CACHE_MS = 5 * 60 * 1000;
+// Each unknown key ID triggers a reload at most this often
+const RELOAD_COOLDOWN_MS = 10 * 1000;
+// Unknown key IDs remembered at once, so random ones cannot grow the map forever
+const MAX_RELOAD_KIDS = 1000;
+// Key IDs are UUIDs; anything else never triggers a reload
+const KID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const KEY_GENERATORS = {
+  RS256: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  EdDSA: () => crypto.generateKeyPairSync('ed25519')
+};
+
+let cachedKeys = null;
+let loadedAt = 0;
+// Unknown key ID -> when it last triggered a reload
+const reloadedFor = new Map();
+
+/**
+ * AES key protecting private keys at rest
+ * Derived from SIGNING_KEY_SECRET (falls back to JWT_SECRET)
+ */
+function encryptionKey() {
+  const secret = process.env.SIGNING_KEY_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('SIGNING_KEY_SECRET or JWT_SECRET must be set');
+  }
+
+  return Buffer.from(crypto.hkdfSync('sha256', secret, '', 'otazumi-signing-keys', 32));
+}
+
+/**
+ * Encrypt a PEM private key as iv.tag.ciphertext (base64url)
+ */
+function encryptPrivateKey(pem) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a private key stored by encryptPrivateKey
+ */
+function decryptPrivateKey(stored) {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  const pem = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  return crypto.createPrivateKey(pem);
+}
+
+/**
+ * Keys that still verify, newest first (cached)
+ */
+async function loadKeys({ force = false } = {}) {
+  if (cachedKeys && !force && Date.now() - loadedAt < CACHE_MS) {
+    return cachedKeys;
+  }
+
+  const rows = await db
+    .select()
+    .from(signingKeys)
+    .where(or(isNull(signingKeys.expiresAt), gt(signingKeys.expiresAt, new Date())))
+    .orderBy(desc(signingKeys.createdAt), desc(signingKeys.id));
+
+  cachedKeys = rows.map(row => ({
+    ...row,
+    verificationKey: crypto.createPublicKey({ key: row.publicKey, format: 'jwk' })
+  }));
+  loadedAt = Date.now();
+
+  return cachedKeys;
+}
+
+/**
+ * Whether an unknown key ID may trigger a reload now (and note that it did)
+ */
+function claimReload(kid) {
+  const now = Date.now();
+
+  if (!KID_PATTERN.test(kid) || now - (reloadedFor.get(kid) || 0) < RELOAD_COOLDOWN_MS) {
+    return false;
+  }
+
+  if (reloadedFor.size >= MAX_RELOAD_KIDS) {
+    for (const [seenKid, seenAt] of reloadedFor) {
+      if (now - seenAt >= RELOAD_COOLDOWN_MS) {
+        reloadedFor.delete(seenKid);
+      }
+    }
+
+    if (reloadedFor.size >= MAX_RELOAD_KIDS) {
+      return false;
+    }
+  }
+
+  reloadedFor.set(kid, now);
+  return true;
+}
+
+/**
+ * Generate and store a key pair
+ */
+async function createKey(algorithm = ALGORITHM) {
+  const generate = KEY_GENERATORS[algorithm];
+
+  if (!generate) {
+    throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+  }
+
+  const { publicKey, privateKey } = generate();
+
+  const [key] = await db
+    .insert(signingKeys)
+    .values({
+      kid: crypto.randomUUID(),
+      algorithm,
+      publicKey: publicKey.export({ format: 'jwk' }),
+      privateKey: encryptPrivateKey(privateKey.export({ type: 'pkcs8', format: 'pem' }))
+    })
+    .returning();
+
+  return key;
+}
+
+/**
+ * SigningKeyService - Asymmetric keys for signing JWTs
+ *
+ * The newest unretired key signs; every unexpired key verifies and is
+ * published as a JWKS, so other services can check tokens without holding
+ * a secret. Rotation adds a new key and retires the old one, which keeps
+ * verifying for one more rotation period, far longer than any token lives.
+ */
+export class SigningKeyService {
+  /**
+   * Key for signing new tokens (created on first use)
+   * @returns {Promise<{ kid: string, algorithm: string, privateKey: crypto.KeyObject }>}
+   */
+  static async getSigningKey() {
+    let key = (await loadKeys()).find(candidate => !candidate.retiredAt);
+
+    if (!key) {
+      await createKey();
+      key = (await loadKeys({ force: true })).find(candidate => !candidate.retiredAt);
+    }
+
+    if (!key.signingKey) {
+      key.signingKey = decryptPrivateKey(key.privateKey);
+    }
+
+    return { kid: key.kid, algorithm: key.algorithm, privateKey: key.signingKey };
+  }
+
+  /**
+   * Public key for a token's kid, or null if unknown or expired
+   * @returns {Promise<{ algorithm: string, publicKey: crypto.KeyObject }|null>}
+   */
+  static async getVerificationKey(kid) {
+    let key = (await loadKeys()).find(candidate => candidate.kid === kid);
+
+    // Another instance may have rotated since the cache was filled
+    if (!key && claimReload(kid)) {
+      key = (await loadKeys({ force: true })).find(candidate => candidate.kid === kid);
+    }
+
+    if (!key || (key.expiresAt && key.expiresAt <= new Date())) {
+      return null;
+    }
+
+    return { algorithm: key.algorithm, publicKey: key.verificationKey };
+  }
+
+  /**
+   * Public keys in JWKS form, for /.well-known/jwks.json
+   */
+  static async getJwks() {
+    const keys = await loadKeys();
+
+    return {
+      keys: keys.map(key => ({
+        ...key.publicKey,
+        kid: key.kid,
+        alg: key.algorithm,
+        use: 'sig'
+      }))
+    };
+  }
+
+  /**
+   * Replace the signing key
+   * The new key is stored before the old ones are retired, so there is always
+   * a key to sign with. Parallel rotations each add a key; the newest one
+   * retires the others.
+   * @returns {Promise<{ kid: string, algorithm: string }|null>} New key, or null if a newer rotation replaced it
+   */
+  static async rotate() {
+    const key = await createKey();
+    const now = new Date();
+
+    // Every older unretired key, including any left by a race on first use
+    await db
+      .update(signingKeys)
+      .set({ retiredAt: now, expiresAt: new Date(now.getTime() + ROTATION_DAYS * 24 * 60 * 60 * 1000) })
+      .where(and(isNull(signingKeys.retiredAt), lt(signingKeys.id, key.id)));
+
+    // Keys whose verification window has ended
+    await db.delete(signingKeys).where(lt(signingKeys.expiresAt, now));
+
+    await loadKeys({ force: true });
+
+    const [current] = await db
+      .select({ retiredAt: signingKeys.retiredAt })
+      .from(signingKeys)
+      .where(eq(signingKeys.id, key.id));
+
+    return current && !current.retiredAt ? { kid: key.kid, algorithm: key.algorithm } : null;
+  }
+
+  /**
+   * Rotate if the signing key is older than JWT_KEY_ROTATION_DAYS or uses
+   * another algorithm than JWT_ALGORITHM
+   * @returns {Promise<{ kid: string, algorithm: string }|null>} New key, if rotated
+   */
+  static async rotateIfDue() {
+    const [current] = await db
+      .select()
+      .from(signingKeys)
+      .where(isNull(signingKeys.retiredAt))
+      .orderBy(desc(signingKeys.createdAt), desc(signingKeys.id))
+      .limit(1);
+
+    const dueBefore = new Date(Date.now() - ROTATION_DAYS * 24 * 60 * 60 * 1000);
+
+    if (current && current.createdAt > dueBefore && current.algorithm === ALGORITHM) {
+      return null;
+    }
+
+    return this.rotate();
+  }
+}
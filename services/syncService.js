@@ -0,0 +1,415 @@
+import { db } from '../db/index.js';
+import { favorites, watchlist, watchHistory, WATCHLIST_STATUSES } from '../db/schema.js';
+import { eq, and, gt, inArray, max, sql } from 'drizzle-orm';
+import { HttpError } from '../utils/errors.js';
+
+const nextSyncVersion = sql`nextval('sync_version_seq')`;
+// Rows per insert; Postgres allows 65535 bind parameters per statement
+const INSERT_CHUNK_SIZE = 1000;
+
+/**
+ * Synced collections: how items map to rows and back
+ * Items are identified per user by their key fields.
+ */
+const COLLECTIONS = {
+  favorites: {
+    table: favorites,
+    keyFields: ['animeId'],
+    toKey: item => ({ animeId: String(item.animeId ?? item.id ?? '') }),
+    toValues: item => ({
+      title: item.title || item.name || 'Unknown',
+      poster: item.poster || item.image || null
+    }),
+    serialize: row => ({
+      id: row.animeId,
+      animeId: row.animeId,
+      title: row.title,
+      poster: row.poster,
+      addedAt: row.addedAt,
+      updatedAt: row.updatedAt
+    })
+  },
+  watchlist: {
+    table: watchlist,
+    keyFields: ['animeId'],
+    toKey: item => ({ animeId: String(item.animeId ?? item.id ?? '') }),
+    toValues: item => ({
+      title: item.title || item.name || 'Unknown',
+      poster: item.poster || item.image || null,
+      status: item.status || 'plan_to_watch'
+    }),
+    validate: item => item.status !== undefined && item.status !== null && !WATCHLIST_STATUSES.includes(item.status)
+      ? `Status must be one of: ${WATCHLIST_STATUSES.join(', ')}`
+      : null,
+    serialize: row => ({
+      id: row.animeId,
+      animeId: row.animeId,
+      title: row.title,
+      poster: row.poster,
+      status: row.status,
+      addedAt: row.addedAt,
+      updatedAt: row.updatedAt
+    })
+  },
+  watchHistory: {
+    table: watchHistory,
+    keyFields: ['animeId', 'episodeId'],
+    toKey: item => ({
+      animeId: String(item.animeId ?? ''),
+      episodeId: String(item.episodeId ?? '')
+    }),
+    toValues: item => ({
+      episodeNumber: item.episodeNumber || 1,
+      progress: item.progress || 0,
+      completed: item.completed || false,
+      watchedAt: item.watchedAt ? new Date(item.watchedAt) : new Date()
+    }),
+    serialize: row => ({
+      id: row.id,
+      animeId: row.animeId,
+      episodeId: row.episodeId,
+      episodeNumber: row.episodeNumber,
+      watchedAt: row.watchedAt,
+      progress: row.progress,
+      completed: row.completed,
+      updatedAt: row.updatedAt
+    })
+  }
+};
+
+/**
+ * Serialize a row of a synced collection the way sync responses do
+ */
+export function serializeItem(name, row) {
+  return COLLECTIONS[name].serialize(row);
+}
+
+/**
+ * Parse an item timestamp, falling back to now
+ */
+function parseTimestamp(value) {
+  const date = value ? new Date(value) : new Date();
+  return isNaN(date.getTime()) ? new Date() : date;
+}
+
+function keyOf(config, record) {
+  return config.keyFields.map(field => record[field]).join('\u0000');
+}
+
+/**
+ * Upsert assignments taking each field from the row proposed for insertion
+ */
+function excludedValues(table, fields) {
+  return Object.fromEntries(fields.map(field => [field, sql.raw(`excluded."${table[field].name}"`)]));
+}
+
+/**
+ * Serialize a row for a sync response, deleted rows as tombstones
+ */
+function serializeChange(config, row) {
+  return row.deletedAt
+    ? {
+        ...Object.fromEntries(config.keyFields.map(field => [field, row[field]])),
+        deleted: true,
+        updatedAt: row.updatedAt
+      }
+    : config.serialize(row);
+}
+
+/**
+ * Parse the opaque sync token (the highest sync version the client has seen)
+ */
+function parseSyncToken(syncToken) {
+  if (syncToken === undefined || syncToken === null || syncToken === '') {
+    return 0;
+  }
+
+  if (!/^\d+$/.test(String(syncToken))) {
+    throw new HttpError(400, 'Invalid sync token');
+  }
+
+  return Number(syncToken);
+}
+
+/**
+ * SyncService - Cursor-based delta sync for favorites, watchlist and history
+ *
+ * Every write stamps the row with a new value from sync_version_seq. A
+ * client's sync token is the highest version it has seen, so the changes it
+ * is missing are the rows with a higher version. Deletions are kept as
+ * tombstones (deletedAt) so they reach other devices. Conflicts resolve per
+ * item by updatedAt: the most recent write wins.
+ */
+export class SyncService {
+  /**
+   * Apply a client's changes and return what it hasn't seen yet
+   * @param {number} userId - User ID
+   * @param {object} payload - { mode, syncToken, favorites, watchlist, watchHistory }
+   */
+  static async sync(userId, payload) {
+    const mode = payload.mode || 'delta';
+    const sinceVersion = parseSyncToken(payload.syncToken);
+    const writtenIds = {};
+    const conflictRows = {};
+    const synced = {};
+    let conflicts = 0;
+    const rejected = [];
+
+    for (const name of Object.keys(COLLECTIONS)) {
+      writtenIds[name] = new Set();
+      conflictRows[name] = [];
+
+      if (!Array.isArray(payload[name])) {
+        continue;
+      }
+
+      const result = await this.applyChanges(userId, name, payload[name], { replace: mode === 'replace' });
+
+      result.writtenIds.forEach(id => writtenIds[name].add(id));
+      conflictRows[name] = result.conflictRows;
+      synced[name] = result.applied;
+      conflicts += result.conflicts;
+      rejected.push(...result.rejected.map(item => ({ collection: name, ...item })));
+    }
+
+    // Read before the changes: a write landing in between is sent again
+    // next time rather than skipped
+    const syncToken = await this.getSyncToken(userId);
+
+    // The client already has what it just sent
+    const changes = await this.getChanges(userId, sinceVersion, writtenIds);
+
+    // It lost these conflicts, so it gets the server's row even if its token
+    // is already past that row's version
+    for (const [name, rows] of Object.entries(conflictRows)) {
+      const config = COLLECTIONS[name];
+      const included = new Set(changes[name].map(change => keyOf(config, change)));
+
+      for (const row of rows) {
+        if (!included.has(keyOf(config, row))) {
+          changes[name].push(serializeChange(config, row));
+        }
+      }
+    }
+
+    return {
+      success: true,
+      mode,
+      synced,
+      conflicts,
+      rejected,
+      changes,
+      syncToken
+    };
+  }
+
+  /**
+   * Apply incoming items to one collection
+   * Delta mode resolves conflicts by updatedAt. Replace mode makes the
+   * collection match the payload exactly, tombstoning everything else.
+   */
+  static async applyChanges(userId, name, items, { replace = false } = {}) {
+    const config = COLLECTIONS[name];
+    const { table } = config;
+    const result = { applied: 0, conflicts: 0, rejected: [], writtenIds: [], conflictRows: [] };
+
+    // Latest incoming change per key
+    const incoming = new Map();
+    items.forEach((item, index) => {
+      if (!item || typeof item !== 'object') {
+        result.rejected.push({ index, error: 'Item must be an object' });
+        return;
+      }
+
+      const key = config.toKey(item);
+
+      if (config.keyFields.some(field => !key[field])) {
+        result.rejected.push({ index, error: `Missing ${config.keyFields.join(' or ')}` });
+        return;
+      }
+
+      const deleted = item.deleted === true;
+      const error = !deleted && config.validate?.(item);
+
+      if (error) {
+        result.rejected.push({ index, error });
+        return;
+      }
+
+      const change = {
+        key,
+        item,
+        deleted,
+        updatedAt: parseTimestamp(item.updatedAt)
+      };
+
+      const previous = incoming.get(keyOf(config, key));
+      if (!previous || previous.updatedAt <= change.updatedAt) {
+        incoming.set(keyOf(config, key), change);
+      }
+    });
+
+    // Current rows for the affected keys (all rows in replace mode)
+    const animeIds = [...new Set([...incoming.values()].map(change => change.key.animeId))];
+    const conditions = [eq(table.userId, userId)];
+    if (!replace) {
+      if (animeIds.length === 0) {
+        return result;
+      }
+      conditions.push(inArray(table.animeId, animeIds));
+    }
+
+    const rows = await db.select().from(table).where(and(...conditions));
+
+    const existingByKey = new Map(rows.map(row => [keyOf(config, row), row]));
+
+    const toInsert = [];
+
+    for (const [key, change] of incoming) {
+      const existing = existingByKey.get(key);
+
+      if (!replace && existing && existing.updatedAt > change.updatedAt) {
+        result.conflicts++;
+        result.conflictRows.push(existing);
+        continue;
+      }
+
+      if (change.deleted) {
+        result.applied++;
+
+        if (existing && !existing.deletedAt) {
+          await db
+            .update(table)
+            .set({ deletedAt: new Date(), updatedAt: change.updatedAt, syncVersion: nextSyncVersion })
+            .where(eq(table.id, existing.id));
+          result.writtenIds.push(existing.id);
+        }
+        continue;
+      }
+
+      const values = { ...config.toValues(change.item), updatedAt: change.updatedAt, deletedAt: null };
+
+      if (existing) {
+        result.applied++;
+        await db
+          .update(table)
+          .set({ ...values, syncVersion: nextSyncVersion })
+          .where(eq(table.id, existing.id));
+        result.writtenIds.push(existing.id);
+      } else {
+        toInsert.push({ userId, ...change.key, ...values });
+      }
+    }
+
+    if (toInsert.length > 0) {
+      await this.insertItems(userId, config, toInsert, result);
+    }
+
+    if (replace) {
+      const staleIds = [];
+      for (const [key, row] of existingByKey) {
+        if (!incoming.has(key) && !row.deletedAt) {
+          staleIds.push(row.id);
+        }
+      }
+
+      if (staleIds.length > 0) {
+        await db
+          .update(table)
+          .set({ deletedAt: new Date(), updatedAt: new Date(), syncVersion: nextSyncVersion })
+          .where(inArray(table.id, staleIds));
+        result.writtenIds.push(...staleIds);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Insert items that had no row when the collection was read
+   * Another device may have added the same item since, so this upserts on the
+   * key fields and keeps whichever write is newer; items that lose count as
+   * conflicts.
+   */
+  static async insertItems(userId, config, toInsert, result) {
+    const { table } = config;
+    const fields = Object.keys(toInsert[0]).filter(field => field !== 'userId' && !config.keyFields.includes(field));
+
+    const written = [];
+
+    for (let start = 0; start < toInsert.length; start += INSERT_CHUNK_SIZE) {
+      written.push(...await db
+        .insert(table)
+        .values(toInsert.slice(start, start + INSERT_CHUNK_SIZE))
+        .onConflictDoUpdate({
+          target: [table.userId, ...config.keyFields.map(field => table[field])],
+          set: { ...excludedValues(table, fields), syncVersion: nextSyncVersion },
+          setWhere: sql`${table.updatedAt} <= excluded.updated_at`
+        })
+        .returning({ id: table.id, ...Object.fromEntries(config.keyFields.map(field => [field, table[field]])) }));
+    }
+
+    result.applied += written.length;
+    result.writtenIds.push(...written.map(row => row.id));
+
+    const writtenKeys = new Set(written.map(row => keyOf(config, row)));
+    const lostKeys = new Set(toInsert.map(values => keyOf(config, values)).filter(key => !writtenKeys.has(key)));
+
+    if (lostKeys.size === 0) {
+      return;
+    }
+
+    const animeIds = [...new Set(toInsert.filter(values => lostKeys.has(keyOf(config, values))).map(values => values.animeId))];
+    const rows = await db
+      .select()
+      .from(table)
+      .where(and(eq(table.userId, userId), inArray(table.animeId, animeIds)));
+
+    const lostRows = rows.filter(row => lostKeys.has(keyOf(config, row)));
+    result.conflicts += lostRows.length;
+    result.conflictRows.push(...lostRows);
+  }
+
+  /**
+   * Rows changed after a sync version, with deletions as tombstones
+   * A first sync (version 0) gets live rows only.
+   */
+  static async getChanges(userId, sinceVersion, excludeIds = {}) {
+    const changes = {};
+
+    for (const [name, config] of Object.entries(COLLECTIONS)) {
+      const { table } = config;
+
+      const rows = await db
+        .select()
+        .from(table)
+        .where(and(eq(table.userId, userId), gt(table.syncVersion, sinceVersion)))
+        .orderBy(table.syncVersion);
+
+      changes[name] = rows
+        .filter(row => !excludeIds[name]?.has(row.id))
+        .filter(row => sinceVersion > 0 || !row.deletedAt)
+        .map(row => serializeChange(config, row));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Current sync token: the highest version across the user's collections
+   */
+  static async getSyncToken(userId) {
+    let version = 0;
+
+    for (const { table } of Object.values(COLLECTIONS)) {
+      const [{ value }] = await db
+        .select({ value: max(table.syncVersion) })
+        .from(table)
+        .where(eq(table.userId, userId));
+
+      version = Math.max(version, Number(value || 0));
+    }
+
+    return String(version);
+  }
+}
@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import { db } from '../db/index.js';
+import { users, twoFactorBackupCodes, twoFactorChallenges } from '../db/schema.js';
+import { eq, and, or, gt, lt, isNull, sql } from 'drizzle-orm';
+import { LoginLockoutService } from './loginLockoutService.js';
+import { SecurityEventService } from './securityEventService.js';
+import { hashToken } from '../utils/crypto.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { createTwoFactorChallenge } from '../utils/jwt.js';
+import { HttpError } from '../utils/errors.js';
+
+const BACKUP_CODE_COUNT = 10;
+// How long a password-verified login waits for its second factor
+const CHALLENGE_SECONDS = 5 * 60;
+// Wrong codes allowed per challenge before it stops working
+const MAX_CHALLENGE_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5');
+
+/**
+ * Generate a backup code like "3f9a1-c07be"
+ */
+function generateBackupCode() {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+/**
+ * Normalize a backup code the way users tend to type it
+ */
+function normalizeBackupCode(code) {
+  return String(code).toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Load a user and check their password (through the login lockout)
+ */
+async function getUserWithPassword(userId, password, type, context) {
+  const [user] = await db
+    .select()
+    .from(users)
+    .where(eq(users.id, userId))
+    .limit(1);
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (!user.password) {
+    throw new HttpError(400, 'No password set for this account');
+  }
+
+  await LoginLockoutService.assertPassword(user, password, {
+    type,
+    context,
+    error: new HttpError(401, 'Invalid password')
+  });
+
+  return user;
+}
+
+/**
+ * TwoFactorService - Handles TOTP enrollment and backup codes
+ */
+export class TwoFactorService {
+  /**
+   * Start enrollment by generating a secret
+   * 2FA is not active until the first code is confirmed with enable()
+   */
+  static async setup(userId) {
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+      throw new HttpError(400, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+
+    await db
+      .update(users)
+      .set({ twoFactorSecret: secret, updatedAt: new Date() })
+      .where(eq(users.id, userId));
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a first code and issue backup codes
+   */
+  static async enable(userId, code, context = {}) {
+    const [user] = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+      throw new HttpError(400, 'Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorSecret) {
+      throw new HttpError(400, 'Start two-factor setup first');
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null) {
+      throw new HttpError(400, 'Invalid verification code');
+    }
+
+    await db
+      .update(users)
+      .set({ twoFactorEnabled: true, twoFactorLastUsedStep: step, updatedAt: new Date() })
+      .where(eq(users.id, userId));
+
+    const backupCodes = await this.replaceBackupCodes(userId);
+
+    await SecurityEventService.record({ userId, type: 'two_factor_enable', context });
+
+    return { backupCodes };
+  }
+
+  /**
+   * Turn 2FA off (requires the password again)
+   */
+  static async disable(userId, password, context = {}) {
+    const user = await getUserWithPassword(userId, password, 'two_factor_disable', context);
+
+    if (!user.twoFactorEnabled) {
+      throw new HttpError(400, 'Two-factor authentication is not enabled');
+    }
+
+    await db
+      .update(users)
+      .set({
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorLastUsedStep: null,
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, userId));
+
+    await db.delete(twoFactorBackupCodes).where(eq(twoFactorBackupCodes.userId, userId));
+
+    await SecurityEventService.record({ userId, type: 'two_factor_disable', context });
+
+    return { success: true, message: 'Two-factor authentication disabled' };
+  }
+
+  /**
+   * Replace all backup codes (requires the password again)
+   */
+  static async regenerateBackupCodes(userId, password, context = {}) {
+    const user = await getUserWithPassword(userId, password, 'two_factor_backup_codes', context);
+
+    if (!user.twoFactorEnabled) {
+      throw new HttpError(400, 'Two-factor authentication is not enabled');
+    }
+
+    const backupCodes = await this.replaceBackupCodes(userId);
+
+    await SecurityEventService.record({ userId, type: 'two_factor_backup_codes', context });
+
+    return { backupCodes };
+  }
+
+  /**
+   * Delete existing backup codes and store fresh hashed ones
+   * Returns the plaintext codes; they are never shown again
+   */
+  static async replaceBackupCodes(userId) {
+    const backupCodes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+
+    await db.delete(twoFactorBackupCodes).where(eq(twoFactorBackupCodes.userId, userId));
+
+    await db.insert(twoFactorBackupCodes).values(
+      backupCodes.map(code => ({
+        userId,
+        codeHash: hashToken(normalizeBackupCode(code))
+      }))
+    );
+
+    return backupCodes;
+  }
+
+  /**
+   * Start a 2FA login after the first factor succeeded
+   * @returns {Promise<string>} Challenge token for /2fa/verify
+   */
+  static async createLoginChallenge(userId) {
+    const challengeId = crypto.randomUUID();
+
+    // Drop abandoned logins
+    await db.delete(twoFactorChallenges).where(lt(twoFactorChallenges.expiresAt, new Date()));
+
+    await db.insert(twoFactorChallenges).values({
+      challengeId,
+      userId,
+      expiresAt: new Date(Date.now() + CHALLENGE_SECONDS * 1000)
+    });
+
+    return createTwoFactorChallenge(userId, challengeId, CHALLENGE_SECONDS);
+  }
+
+  /**
+   * Use up one attempt on a login challenge
+   * Counted before the code is checked, so parallel guesses all count; a
+   * challenge with no attempts left is refused like an expired one.
+   */
+  static async recordChallengeAttempt(challengeId, userId) {
+    const [challenge] = await db
+      .update(twoFactorChallenges)
+      .set({ attempts: sql`${twoFactorChallenges.attempts} + 1` })
+      .where(
+        and(
+          eq(twoFactorChallenges.challengeId, String(challengeId)),
+          eq(twoFactorChallenges.userId, userId),
+          isNull(twoFactorChallenges.usedAt),
+          gt(twoFactorChallenges.expiresAt, new Date()),
+          lt(twoFactorChallenges.attempts, MAX_CHALLENGE_ATTEMPTS)
+        )
+      )
+      .returning({ id: twoFactorChallenges.id });
+
+    if (!challenge) {
+      throw new HttpError(401, 'Invalid or expired two-factor challenge');
+    }
+  }
+
+  /**
+   * Mark a login challenge used, so its token cannot start a second session
+   */
+  static async consumeChallenge(challengeId) {
+    const [challenge] = await db
+      .update(twoFactorChallenges)
+      .set({ usedAt: new Date() })
+      .where(and(eq(twoFactorChallenges.challengeId, String(challengeId)), isNull(twoFactorChallenges.usedAt)))
+      .returning({ id: twoFactorChallenges.id });
+
+    if (!challenge) {
+      throw new HttpError(401, 'Invalid or expired two-factor challenge');
+    }
+  }
+
+  /**
+   * Check a TOTP or backup code for a user with 2FA enabled
+   * TOTP codes cannot be replayed and backup codes are consumed
+   */
+  static async verifyCode(user, code) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+
+    if (step !== null) {
+      const [accepted] = await db
+        .update(users)
+        .set({ twoFactorLastUsedStep: step })
+        .where(
+          and(
+            eq(users.id, user.id),
+            or(isNull(users.twoFactorLastUsedStep), lt(users.twoFactorLastUsedStep, step))
+          )
+        )
+        .returning({ id: users.id });
+
+      return Boolean(accepted);
+    }
+
+    const [consumed] = await db
+      .update(twoFactorBackupCodes)
+      .set({ usedAt: new Date() })
+      .where(
+        and(
+          eq(twoFactorBackupCodes.userId, user.id),
+          eq(twoFactorBackupCodes.codeHash, hashToken(normalizeBackupCode(code))),
+          isNull(twoFactorBackupCodes.usedAt)
+        )
+      )
+      .returning({ id: twoFactorBackupCodes.id });
+
+    return Boolean(consumed);
+  }
+}
@@ -0,0 +1,336 @@
+import { EventEmitter } from 'events';
+import { db } from '../db/index.js';
+import { users, watchParties, watchPartyParticipants } from '../db/schema.js';
+import { eq, and, ne, desc, count, sql } from 'drizzle-orm';
+import { generateRoomCode } from '../utils/crypto.js';
+import { HttpError } from '../utils/errors.js';
+
+/**
+ * Party status values stored in watch_parties.status
+ */
+export const PARTY_STATUS = {
+  WAITING: 'waiting',
+  PLAYING: 'playing',
+  ENDED: 'ended'
+};
+
+/**
+ * Party lifecycle events ('updated', 'left', 'ended') for the real-time sync
+ */
+export const watchPartyEvents = new EventEmitter();
+
+/**
+ * Fields the host may change after creating a party
+ */
+const UPDATABLE_FIELDS = ['animeId', 'episodeId', 'episodeNumber', 'animeTitle', 'animePoster', 'maxParticipants', 'isPublic'];
+
+/**
+ * Count participants currently in a party
+ */
+async function countActiveParticipants(partyId) {
+  const [{ value }] = await db
+    .select({ value: count() })
+    .from(watchPartyParticipants)
+    .where(and(eq(watchPartyParticipants.partyId, partyId), eq(watchPartyParticipants.isActive, true)));
+
+  return Number(value);
+}
+
+/**
+ * WatchPartyService - Handles watch party rooms and membership
+ */
+export class WatchPartyService {
+  /**
+   * Get a party by room code
+   */
+  static async getParty(roomCode) {
+    const [party] = await db
+      .select()
+      .from(watchParties)
+      .where(eq(watchParties.roomCode, String(roomCode).toUpperCase()))
+      .limit(1);
+
+    if (!party) {
+      throw new HttpError(404, 'Watch party not found');
+    }
+
+    return party;
+  }
+
+  /**
+   * Get a party and make sure the user is its host
+   */
+  static async getHostedParty(roomCode, userId, action) {
+    const party = await this.getParty(roomCode);
+
+    if (party.hostId !== userId) {
+      throw new HttpError(403, `Only the host can ${action} the party`);
+    }
+
+    return party;
+  }
+
+  /**
+   * Create a party with a generated room code; the host joins it
+   */
+  static async createParty(hostId, data) {
+    let party;
+
+    for (let attempt = 0; attempt < 5 && !party; attempt++) {
+      try {
+        [party] = await db
+          .insert(watchParties)
+          .values({
+            hostId,
+            animeId: data.animeId,
+            episodeId: data.episodeId,
+            episodeNumber: data.episodeNumber,
+            animeTitle: data.animeTitle || null,
+            animePoster: data.animePoster || null,
+            roomCode: generateRoomCode(),
+            status: PARTY_STATUS.WAITING,
+            maxParticipants: data.maxParticipants || 10,
+            isPublic: data.isPublic ?? true
+          })
+          .returning();
+      } catch (error) {
+        // Room code collision, try another one
+        if (error.code !== '23505') {
+          throw error;
+        }
+      }
+    }
+
+    if (!party) {
+      throw new Error('Could not generate a unique room code');
+    }
+
+    await db.insert(watchPartyParticipants).values({ partyId: party.id, userId: hostId });
+
+    return party;
+  }
+
+  /**
+   * List public parties that have not ended
+   */
+  static async listPublicParties({ limit = 20, offset = 0 } = {}) {
+    const parties = await db
+      .select({
+        party: watchParties,
+        host: { id: users.id, username: users.username, avatar: users.avatar }
+      })
+      .from(watchParties)
+      .leftJoin(users, eq(watchParties.hostId, users.id))
+      .where(and(eq(watchParties.isPublic, true), ne(watchParties.status, PARTY_STATUS.ENDED)))
+      .orderBy(desc(watchParties.createdAt))
+      .limit(limit)
+      .offset(offset);
+
+    return Promise.all(parties.map(async ({ party, host }) => ({
+      ...party,
+      host,
+      participantCount: await countActiveParticipants(party.id)
+    })));
+  }
+
+  /**
+   * Join a party by room code, respecting maxParticipants
+   */
+  static async joinParty(roomCode, userId) {
+    const party = await this.getParty(roomCode);
+
+    if (party.status === PARTY_STATUS.ENDED) {
+      throw new HttpError(410, 'This watch party has ended');
+    }
+
+    // One statement claims the seat, so concurrent joins cannot overfill the
+    // party; the unique (party, user) index turns a rejoin into a reactivation
+    const hasRoom = sql`(
+      SELECT count(*) FROM ${watchPartyParticipants}
+      WHERE ${watchPartyParticipants.partyId} = ${party.id} AND ${watchPartyParticipants.isActive}
+    ) < ${party.maxParticipants}`;
+
+    const { rows } = await db.execute(sql`
+      INSERT INTO ${watchPartyParticipants} (party_id, user_id)
+      SELECT ${party.id}, ${userId} WHERE ${hasRoom}
+      ON CONFLICT (party_id, user_id) DO UPDATE
+      SET is_active = true, left_at = NULL, joined_at = now()
+      WHERE ${watchPartyParticipants.isActive} = false AND ${hasRoom}
+      RETURNING id
+    `);
+
+    if (rows.length === 0) {
+      const [membership] = await db
+        .select({ isActive: watchPartyParticipants.isActive })
+        .from(watchPartyParticipants)
+        .where(and(eq(watchPartyParticipants.partyId, party.id), eq(watchPartyParticipants.userId, userId)))
+        .limit(1);
+
+      if (!membership?.isActive) {
+        throw new HttpError(409, 'This watch party is full');
+      }
+    }
+
+    return party;
+  }
+
+  /**
+   * Leave a party; the host leaving ends it for everyone
+   */
+  static async leaveParty(roomCode, userId) {
+    const party = await this.getParty(roomCode);
+
+    if (party.hostId === userId && party.status !== PARTY_STATUS.ENDED) {
+      return this.endParty(roomCode, userId);
+    }
+
+    const [membership] = await db
+      .update(watchPartyParticipants)
+      .set({ isActive: false, leftAt: new Date() })
+      .where(
+        and(
+          eq(watchPartyParticipants.partyId, party.id),
+          eq(watchPartyParticipants.userId, userId),
+          eq(watchPartyParticipants.isActive, true)
+        )
+      )
+      .returning();
+
+    if (!membership) {
+      throw new HttpError(400, 'You are not in this watch party');
+    }
+
+    watchPartyEvents.emit('left', party, userId);
+
+    return party;
+  }
+
+  /**
+   * List participants of a party
+   */
+  static async listParticipants(roomCode, { includeInactive = false } = {}) {
+    const party = await this.getParty(roomCode);
+
+    const conditions = [eq(watchPartyParticipants.partyId, party.id)];
+    if (!includeInactive) {
+      conditions.push(eq(watchPartyParticipants.isActive, true));
+    }
+
+    const participants = await db
+      .select({
+        userId: watchPartyParticipants.userId,
+        username: users.username,
+        avatar: users.avatar,
+        joinedAt: watchPartyParticipants.joinedAt,
+        leftAt: watchPartyParticipants.leftAt,
+        isActive: watchPartyParticipants.isActive
+      })
+      .from(watchPartyParticipants)
+      .innerJoin(users, eq(watchPartyParticipants.userId, users.id))
+      .where(and(...conditions))
+      .orderBy(watchPartyParticipants.joinedAt);
+
+    return participants.map(participant => ({
+      ...participant,
+      isHost: participant.userId === party.hostId
+    }));
+  }
+
+  /**
+   * Start playback (host only)
+   */
+  static async startParty(roomCode, userId) {
+    const party = await this.getHostedParty(roomCode, userId, 'start');
+
+    if (party.status !== PARTY_STATUS.WAITING) {
+      throw new HttpError(400, `Cannot start a party that is ${party.status}`);
+    }
+
+    const [updatedParty] = await db
+      .update(watchParties)
+      .set({ status: PARTY_STATUS.PLAYING, startedAt: new Date() })
+      .where(eq(watchParties.id, party.id))
+      .returning();
+
+    watchPartyEvents.emit('updated', updatedParty);
+
+    return updatedParty;
+  }
+
+  /**
+   * End the party for everyone (host only)
+   */
+  static async endParty(roomCode, userId) {
+    const party = await this.getHostedParty(roomCode, userId, 'end');
+
+    if (party.status === PARTY_STATUS.ENDED) {
+      throw new HttpError(400, 'This watch party has already ended');
+    }
+
+    const now = new Date();
+
+    const [updatedParty] = await db
+      .update(watchParties)
+      .set({ status: PARTY_STATUS.ENDED, endedAt: now })
+      .where(eq(watchParties.id, party.id))
+      .returning();
+
+    await db
+      .update(watchPartyParticipants)
+      .set({ isActive: false, leftAt: now })
+      .where(and(eq(watchPartyParticipants.partyId, party.id), eq(watchPartyParticipants.isActive, true)));
+
+    watchPartyEvents.emit('ended', updatedParty);
+
+    return updatedParty;
+  }
+
+  /**
+   * Change episode or settings (host only)
+   */
+  static async updateParty(roomCode, userId, updates) {
+    const party = await this.getHostedParty(roomCode, userId, 'change');
+
+    if (party.status === PARTY_STATUS.ENDED) {
+      throw new HttpError(400, 'This watch party has already ended');
+    }
+
+    const changes = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (updates[field] !== undefined) {
+        changes[field] = updates[field];
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return party;
+    }
+
+    const [updatedParty] = await db
+      .update(watchParties)
+      .set(changes)
+      .where(eq(watchParties.id, party.id))
+      .returning();
+
+    watchPartyEvents.emit('updated', updatedParty);
+
+    return updatedParty;
+  }
+
+  /**
+   * Mark a participant as gone without ending the party
+   * Used when a real-time connection drops, including the host's
+   */
+  static async markInactive(partyId, userId) {
+    await db
+      .update(watchPartyParticipants)
+      .set({ isActive: false, leftAt: new Date() })
+      .where(
+        and(
+          eq(watchPartyParticipants.partyId, partyId),
+          eq(watchPartyParticipants.userId, userId),
+          eq(watchPartyParticipants.isActive, true)
+        )
+      );
+  }
+}
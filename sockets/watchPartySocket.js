@@ -0,0 +1,484 @@
+import { STATUS_CODES } from 'http';
+import { WebSocketServer } from 'ws';
+import { db } from '../db/index.js';
+import { users } from '../db/schema.js';
+import { eq, and, or, inArray, isNotNull } from 'drizzle-orm';
+import { verifyToken, extractTokenFromHeader } from '../utils/jwt.js';
+import { HttpError } from '../utils/errors.js';
+import { SessionService } from '../services/sessionService.js';
+import { WatchPartyService, watchPartyEvents, PARTY_STATUS } from '../services/watchPartyService.js';
+
+/**
+ * Watch party playback sync over WebSockets
+ *
+ * Connect to /ws/watch-parties/:roomCode with the access token in the
+ * Authorization header or a ?token= query parameter. Messages are JSON
+ * objects with a `type`:
+ *
+ *   Host -> server:   play, pause, seek { position }, episode { episodeId, episodeNumber },
+ *                     time { position } (periodic position report)
+ *   Anyone -> server: sync { position } (drift check), state
+ *   Server -> client: state, play, pause, seek, episode, drift_correction,
+ *                     presence, party_ended, error
+ *
+ * Room state lives in memory, so every participant of a party must be
+ * connected to the same server instance.
+ */
+
+const PATH_PATTERN = /^\/ws\/watch-parties\/([A-Za-z0-9]{6})$/;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const DRIFT_THRESHOLD = parseFloat(process.env.WATCH_PARTY_DRIFT_THRESHOLD || '2'); // seconds
+const HOST_ONLY = ['play', 'pause', 'seek', 'episode', 'time'];
+const MAX_PAYLOAD = 16 * 1024; // bytes; messages are small JSON commands
+
+// roomCode -> { party, clients: Map<ws, user>, playback }
+const rooms = new Map();
+
+/**
+ * Playback position right now, extrapolated from the last update
+ */
+function currentPosition(playback) {
+  if (playback.paused) {
+    return playback.position;
+  }
+  return playback.position + (Date.now() - playback.updatedAt) / 1000;
+}
+
+/**
+ * Snapshot of the playback state sent to clients
+ */
+function playbackState(room) {
+  return {
+    episodeId: room.playback.episodeId,
+    episodeNumber: room.playback.episodeNumber,
+    position: currentPosition(room.playback),
+    paused: room.playback.paused,
+    serverTime: Date.now()
+  };
+}
+
+/**
+ * Unique connected users in a room
+ */
+function connectedUsers(room) {
+  const byId = new Map();
+  for (const user of room.clients.values()) {
+    byId.set(user.id, {
+      userId: user.id,
+      username: user.username,
+      avatar: user.avatar,
+      isHost: user.id === room.party.hostId
+    });
+  }
+  return [...byId.values()];
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(room, message, except = null) {
+  for (const ws of room.clients.keys()) {
+    if (ws !== except) {
+      send(ws, message);
+    }
+  }
+}
+
+/**
+ * Message safe to show a client: HttpError messages as they are, anything
+ * unexpected (database or driver errors) logged and replaced
+ */
+function clientErrorMessage(error) {
+  if (error.status && error.status < 500) {
+    return error.message;
+  }
+
+  console.error('Watch party socket error:', error);
+  return 'Internal server error';
+}
+
+/**
+ * Write an HTTP error response on a socket that will not be upgraded
+ */
+function rejectUpgrade(socket, status, message) {
+  const body = JSON.stringify({ success: false, error: message });
+  socket.write(
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+  socket.destroy();
+}
+
+/**
+ * Authenticate the upgrade request and join the party
+ */
+async function authenticateUpgrade(req, roomCode) {
+  const url = new URL(req.url, 'http://localhost');
+  const token = extractTokenFromHeader(req.headers.authorization) || url.searchParams.get('token');
+
+  if (!token) {
+    throw new HttpError(401, 'Authentication required');
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyToken(token);
+  } catch (error) {
+    throw new HttpError(401, error.message);
+  }
+
+  if (!decoded.sid || !(await SessionService.isSessionActive(decoded.sid))) {
+    throw new HttpError(401, 'Session has been revoked');
+  }
+
+  const [user] = await db
+    .select({
+      id: users.id,
+      username: users.username,
+      avatar: users.avatar,
+      bannedAt: users.bannedAt,
+      deletionScheduledAt: users.deletionScheduledAt
+    })
+    .from(users)
+    .where(eq(users.id, decoded.userId))
+    .limit(1);
+
+  if (!user) {
+    throw new HttpError(401, 'User not found');
+  }
+
+  // Same account checks as REST requests
+  if (user.bannedAt) {
+    throw new HttpError(403, 'This account has been banned');
+  }
+
+  if (user.deletionScheduledAt) {
+    throw new HttpError(403, 'This account is scheduled for deletion');
+  }
+
+  // Same rules as the REST join: party must be open and have room
+  const party = await WatchPartyService.joinParty(roomCode, user.id);
+
+  return { user: { id: user.id, username: user.username, avatar: user.avatar, sessionId: decoded.sid }, party };
+}
+
+function getOrCreateRoom(party) {
+  let room = rooms.get(party.roomCode);
+
+  if (!room) {
+    room = {
+      party,
+      clients: new Map(),
+      playback: {
+        episodeId: party.episodeId,
+        episodeNumber: party.episodeNumber,
+        position: 0,
+        paused: true,
+        updatedAt: Date.now()
+      }
+    };
+    rooms.set(party.roomCode, room);
+  }
+
+  return room;
+}
+
+function closeRoom(roomCode, code, reason) {
+  const room = rooms.get(roomCode);
+  if (!room) {
+    return;
+  }
+
+  rooms.delete(roomCode);
+  for (const ws of room.clients.keys()) {
+    ws.close(code, reason);
+  }
+}
+
+/**
+ * Apply a host playback command and relay it to everyone else
+ */
+async function handleHostCommand(room, ws, user, message) {
+  const { playback } = room;
+  const position = Number(message.position);
+  const hasPosition = Number.isFinite(position) && position >= 0;
+
+  switch (message.type) {
+    case 'play':
+      // Save first, so a failed start leaves the room paused
+      if (room.party.status === PARTY_STATUS.WAITING) {
+        room.party = await WatchPartyService.startParty(room.party.roomCode, user.id);
+      }
+
+      playback.position = hasPosition ? position : currentPosition(playback);
+      playback.paused = false;
+      playback.updatedAt = Date.now();
+      break;
+
+    case 'pause':
+      playback.position = hasPosition ? position : currentPosition(playback);
+      playback.paused = true;
+      playback.updatedAt = Date.now();
+      break;
+
+    case 'seek':
+    case 'time':
+      if (!hasPosition) {
+        return send(ws, { type: 'error', error: 'position must be a non-negative number' });
+      }
+      playback.position = position;
+      playback.updatedAt = Date.now();
+
+      // Position reports only refresh the reference clock
+      if (message.type === 'time') {
+        return;
+      }
+      break;
+
+    case 'episode': {
+      const episodeNumber = parseInt(message.episodeNumber);
+      if (typeof message.episodeId !== 'string' || !message.episodeId || !Number.isInteger(episodeNumber)) {
+        return send(ws, { type: 'error', error: 'episodeId and episodeNumber are required' });
+      }
+
+      room.party = await WatchPartyService.updateParty(room.party.roomCode, user.id, {
+        episodeId: message.episodeId,
+        episodeNumber
+      });
+
+      playback.episodeId = message.episodeId;
+      playback.episodeNumber = episodeNumber;
+      playback.position = 0;
+      playback.paused = true;
+      playback.updatedAt = Date.now();
+      break;
+    }
+  }
+
+  broadcast(room, { type: message.type, by: user.id, ...playbackState(room) }, ws);
+}
+
+async function handleMessage(room, ws, user, data) {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (error) {
+    return send(ws, { type: 'error', error: 'Invalid JSON' });
+  }
+
+  if (HOST_ONLY.includes(message.type)) {
+    if (user.id !== room.party.hostId) {
+      return send(ws, { type: 'error', error: 'Only the host can control playback' });
+    }
+    return handleHostCommand(room, ws, user, message);
+  }
+
+  switch (message.type) {
+    case 'state':
+      return send(ws, { type: 'state', ...playbackState(room), participants: connectedUsers(room) });
+
+    case 'sync': {
+      // Participant reports where it is; correct it if it drifted too far
+      const position = Number(message.position);
+      const expected = currentPosition(room.playback);
+
+      if (!Number.isFinite(position) || Math.abs(position - expected) > DRIFT_THRESHOLD) {
+        send(ws, { type: 'drift_correction', ...playbackState(room) });
+      }
+      return;
+    }
+
+    default:
+      return send(ws, { type: 'error', error: `Unknown message type: ${message.type}` });
+  }
+}
+
+function onConnection(ws, { user, party }) {
+  const room = getOrCreateRoom(party);
+  const wasConnected = [...room.clients.values()].some(client => client.id === user.id);
+
+  room.clients.set(ws, user);
+  ws.isAlive = true;
+
+  // Late joiners get the current playback state straight away
+  send(ws, { type: 'state', ...playbackState(room), participants: connectedUsers(room) });
+
+  if (!wasConnected) {
+    broadcast(room, {
+      type: 'presence',
+      event: 'joined',
+      userId: user.id,
+      username: user.username,
+      participants: connectedUsers(room)
+    }, ws);
+  }
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  // Oversized or malformed frames; ws closes the socket and 'close' cleans up
+  ws.on('error', () => {});
+
+  ws.on('message', data => {
+    handleMessage(room, ws, user, data).catch(error => {
+      send(ws, { type: 'error', error: clientErrorMessage(error) });
+    });
+  });
+
+  ws.on('close', async () => {
+    room.clients.delete(ws);
+
+    const stillConnected = [...room.clients.values()].some(client => client.id === user.id);
+    if (stillConnected) {
+      return;
+    }
+
+    broadcast(room, {
+      type: 'presence',
+      event: 'left',
+      userId: user.id,
+      username: user.username,
+      participants: connectedUsers(room)
+    });
+
+    if (room.clients.size === 0 && rooms.get(party.roomCode) === room) {
+      rooms.delete(party.roomCode);
+    }
+
+    try {
+      await WatchPartyService.markInactive(party.id, user.id);
+    } catch (error) {
+      console.error('Error updating watch party presence:', error);
+    }
+  });
+}
+
+/**
+ * Close sockets whose session was revoked or whose account was banned or
+ * scheduled for deletion since they connected
+ */
+async function closeRevokedClients() {
+  const clients = [...rooms.values()].flatMap(room => [...room.clients]);
+
+  if (clients.length === 0) {
+    return;
+  }
+
+  const userIds = [...new Set(clients.map(([, user]) => user.id))];
+  const blocked = await db
+    .select({ id: users.id })
+    .from(users)
+    .where(and(inArray(users.id, userIds), or(isNotNull(users.bannedAt), isNotNull(users.deletionScheduledAt))));
+  const blockedIds = new Set(blocked.map(({ id }) => id));
+
+  const activeSessions = new Map();
+  for (const sessionId of new Set(clients.map(([, user]) => user.sessionId))) {
+    activeSessions.set(sessionId, await SessionService.isSessionActive(sessionId));
+  }
+
+  for (const [ws, user] of clients) {
+    if (blockedIds.has(user.id)) {
+      ws.close(4003, 'Account is no longer active');
+    } else if (!activeSessions.get(user.sessionId)) {
+      ws.close(4003, 'Session has been revoked');
+    }
+  }
+}
+
+/**
+ * Attach the watch party WebSocket endpoint to an HTTP server
+ * @param {import('http').Server} server - Server returned by app.listen()
+ * @returns {WebSocketServer} The WebSocket server
+ */
+export function attachWatchPartySocket(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const match = new URL(req.url, 'http://localhost').pathname.match(PATH_PATTERN);
+
+    if (!match) {
+      return rejectUpgrade(socket, 404, 'Route not found');
+    }
+
+    try {
+      const context = await authenticateUpgrade(req, match[1]);
+      wss.handleUpgrade(req, socket, head, ws => onConnection(ws, context));
+    } catch (error) {
+      rejectUpgrade(socket, error.status || 500, clientErrorMessage(error));
+    }
+  });
+
+  // Drop connections that stopped answering pings, and those whose session
+  // or account is no longer valid
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+
+    closeRevokedClients().catch(error => {
+      console.error('Error checking watch party sessions:', error);
+    });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  // Keep connected clients in step with changes made over REST
+  watchPartyEvents.on('updated', party => {
+    const room = rooms.get(party.roomCode);
+    if (!room) {
+      return;
+    }
+
+    const episodeChanged = room.playback.episodeId !== party.episodeId;
+    room.party = party;
+
+    if (episodeChanged) {
+      Object.assign(room.playback, {
+        episodeId: party.episodeId,
+        episodeNumber: party.episodeNumber,
+        position: 0,
+        paused: true,
+        updatedAt: Date.now()
+      });
+      broadcast(room, { type: 'episode', by: party.hostId, ...playbackState(room) });
+    }
+  });
+
+  watchPartyEvents.on('left', (party, userId) => {
+    const room = rooms.get(party.roomCode);
+    if (!room) {
+      return;
+    }
+
+    for (const [ws, user] of room.clients) {
+      if (user.id === userId) {
+        ws.close(4001, 'Left watch party');
+      }
+    }
+  });
+
+  watchPartyEvents.on('ended', party => {
+    const room = rooms.get(party.roomCode);
+    if (!room) {
+      return;
+    }
+
+    broadcast(room, { type: 'party_ended', endedAt: party.endedAt });
+    closeRoom(party.roomCode, 4000, 'Watch party ended');
+  });
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+}
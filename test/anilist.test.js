@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAniListJson } from '../utils/anilist.js';
+
+const COLLECTION = {
+  lists: [
+    {
+      status: 'CURRENT',
+      entries: [
+        {
+          status: 'CURRENT',
+          progress: 5,
+          updatedAt: 1767225600,
+          media: {
+            id: 21,
+            idMal: 21,
+            title: { userPreferred: 'ONE PIECE', english: 'One Piece' },
+            coverImage: { large: 'https://img.example/large.jpg', medium: 'https://img.example/medium.jpg' }
+          }
+        },
+        {
+          progress: 0,
+          media: { id: 999, title: { romaji: 'Only On AniList' } }
+        }
+      ]
+    },
+    {
+      status: 'COMPLETED',
+      entries: [{ status: 'REPEATING', progress: '24', media: { idMal: 1, title: { english: 'Cowboy Bebop' } } }]
+    },
+    {
+      name: 'Favourites',
+      isCustomList: true,
+      entries: [{ status: 'COMPLETED', media: { idMal: 1, title: { english: 'Cowboy Bebop' } } }]
+    }
+  ]
+};
+
+describe('parseAniListJson', () => {
+  it('reads the status lists and skips custom lists', () => {
+    assert.equal(parseAniListJson(COLLECTION).length, 3);
+  });
+
+  it('reads IDs, titles, covers, progress and update times', () => {
+    assert.deepEqual(parseAniListJson(COLLECTION)[0], {
+      animeId: '21',
+      title: 'ONE PIECE',
+      poster: 'https://img.example/large.jpg',
+      status: 'watching',
+      sourceStatus: 'CURRENT',
+      watchedEpisodes: 5,
+      updatedAt: new Date('2026-01-01T00:00:00Z')
+    });
+  });
+
+  it('falls back to the AniList ID and the list status', () => {
+    const entry = parseAniListJson(COLLECTION)[1];
+
+    assert.equal(entry.animeId, 'anilist-999');
+    assert.equal(entry.title, 'Only On AniList');
+    assert.equal(entry.status, 'watching');
+    assert.equal(entry.poster, null);
+    assert.equal(entry.updatedAt, null);
+  });
+
+  it('maps the entry status over the list status', () => {
+    const entry = parseAniListJson(COLLECTION)[2];
+
+    assert.equal(entry.status, 'watching');
+    assert.equal(entry.sourceStatus, 'REPEATING');
+    assert.equal(entry.watchedEpisodes, 24);
+  });
+
+  it('accepts JSON text and the GraphQL wrappers', () => {
+    const expected = parseAniListJson(COLLECTION);
+
+    assert.deepEqual(parseAniListJson(JSON.stringify(COLLECTION)), expected);
+    assert.deepEqual(parseAniListJson({ MediaListCollection: COLLECTION }), expected);
+    assert.deepEqual(parseAniListJson({ data: { MediaListCollection: COLLECTION } }), expected);
+  });
+
+  it('leaves unknown statuses for validation', () => {
+    const [entry] = parseAniListJson({ lists: [{ entries: [{ status: 'WATCHING', media: { idMal: 5 } }] }] });
+
+    assert.equal(entry.status, undefined);
+    assert.equal(entry.sourceStatus, 'WATCHING');
+    assert.equal(entry.title, null);
+  });
+
+  it('rejects other JSON', () => {
+    assert.throws(() => parseAniListJson('{"anime": []}'), /Not an AniList export/);
+    assert.throws(() => parseAniListJson('null'), /Not an AniList export/);
+    assert.throws(() => parseAniListJson('{'), SyntaxError);
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvCell, toCsv } from '../utils/csv.js';
+
+describe('csvCell', () => {
+  it('writes empty cells for missing values', () => {
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell(undefined), '');
+  });
+
+  it('leaves plain values unquoted', () => {
+    assert.equal(csvCell('Naruto'), 'Naruto');
+    assert.equal(csvCell(12), '12');
+    assert.equal(csvCell(false), 'false');
+  });
+
+  it('writes dates as ISO 8601', () => {
+    assert.equal(csvCell(new Date(Date.UTC(2026, 0, 2, 3, 4, 5))), '2026-01-02T03:04:05.000Z');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    assert.equal(csvCell('Re:Zero, Season 2'), '"Re:Zero, Season 2"');
+    assert.equal(csvCell('The "Best" Show'), '"The ""Best"" Show"');
+    assert.equal(csvCell('one\ntwo'), '"one\ntwo"');
+    assert.equal(csvCell('one\r\ntwo'), '"one\r\ntwo"');
+  });
+
+  it('prefixes values a spreadsheet would run as formulas', () => {
+    assert.equal(csvCell('=1+1'), "'=1+1");
+    assert.equal(csvCell('+SUM(A1)'), "'+SUM(A1)");
+    assert.equal(csvCell('-2'), "'-2");
+    assert.equal(csvCell('@cmd'), "'@cmd");
+    assert.equal(csvCell('\tTab'), "'\tTab");
+  });
+
+  it('prefixes and quotes a formula that needs both', () => {
+    assert.equal(csvCell('=HYPERLINK("http://x","y")'), `"'=HYPERLINK(""http://x"",""y"")"`);
+  });
+
+  it('only checks the first character for formulas', () => {
+    assert.equal(csvCell('Steins;Gate 0 = great'), 'Steins;Gate 0 = great');
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header and one CRLF-terminated line per row', () => {
+    const csv = toCsv(['animeId', 'title', 'poster'], [
+      { animeId: '1', title: 'One, Two', poster: null },
+      { animeId: '2', title: '=cmd', extra: 'ignored' }
+    ]);
+
+    assert.equal(csv, 'animeId,title,poster\r\n1,"One, Two",\r\n2,\'=cmd,\r\n');
+  });
+
+  it('writes only the header without rows', () => {
+    assert.equal(toCsv(['animeId'], []), 'animeId\r\n');
+  });
+});
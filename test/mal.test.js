@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMalXml, buildMalXml } from '../utils/mal.js';
+
+const EXPORT = `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+  <myinfo><user_name>someone</user_name></myinfo>
+  <anime>
+    <series_animedb_id>21</series_animedb_id>
+    <series_title><![CDATA[One Piece]]></series_title>
+    <my_watched_episodes>12</my_watched_episodes>
+    <my_status>Watching</my_status>
+  </anime>
+  <anime>
+    <series_animedb_id>20</series_animedb_id>
+    <series_title>Naruto &amp; &lt;Friends&gt;</series_title>
+    <my_watched_episodes>220</my_watched_episodes>
+    <my_status>2</my_status>
+  </anime>
+  <anime>
+    <series_animedb_id>0</series_animedb_id>
+    <series_title>Unlisted</series_title>
+    <my_status>Rewatching</my_status>
+  </anime>
+</myanimelist>`;
+
+describe('parseMalXml', () => {
+  const [onePiece, naruto, unlisted] = parseMalXml(EXPORT);
+
+  it('reads one entry per anime block', () => {
+    assert.equal(parseMalXml(EXPORT).length, 3);
+  });
+
+  it('reads IDs, titles and watched episodes', () => {
+    assert.deepEqual(onePiece, {
+      animeId: '21',
+      title: 'One Piece',
+      poster: null,
+      status: 'watching',
+      sourceStatus: 'Watching',
+      watchedEpisodes: 12,
+      updatedAt: null
+    });
+  });
+
+  it('decodes entities and maps numeric statuses', () => {
+    assert.equal(naruto.title, 'Naruto & <Friends>');
+    assert.equal(naruto.status, 'completed');
+    assert.equal(naruto.sourceStatus, '2');
+  });
+
+  it('leaves unknown IDs and statuses for validation', () => {
+    assert.equal(unlisted.animeId, null);
+    assert.equal(unlisted.status, undefined);
+    assert.equal(unlisted.sourceStatus, 'Rewatching');
+    assert.equal(unlisted.watchedEpisodes, 0);
+  });
+
+  it('rejects documents that are not MyAnimeList exports', () => {
+    assert.throws(() => parseMalXml('<anime></anime>'), /Not a MyAnimeList export/);
+    assert.throws(() => parseMalXml({ lists: [] }), /Not a MyAnimeList export/);
+  });
+
+  it('reads an empty list', () => {
+    assert.deepEqual(parseMalXml('<myanimelist></myanimelist>'), []);
+  });
+});
+
+describe('buildMalXml', () => {
+  it('writes a list that parses back', () => {
+    const xml = buildMalXml('a&b', [
+      { animeId: '21', title: 'One Piece ]]> Film', status: 'on_hold', watchedEpisodes: 3 },
+      { animeId: 'local-1', title: 'Local', status: 'plan_to_watch' }
+    ]);
+
+    assert.match(xml, /<user_name>a&amp;b<\/user_name>/);
+    assert.match(xml, /<user_total_onhold>1<\/user_total_onhold>/);
+
+    const [first, second] = parseMalXml(xml);
+
+    assert.equal(first.animeId, '21');
+    assert.equal(first.title, 'One Piece ]]> Film');
+    assert.equal(first.status, 'on_hold');
+    assert.equal(first.watchedEpisodes, 3);
+    assert.equal(second.animeId, null);
+    assert.equal(second.status, 'plan_to_watch');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isBreachedPassword,
+  estimatePasswordStrength,
+  checkPasswordPolicy,
+  getPasswordPolicy
+} from '../utils/passwordPolicy.js';
+
+const policy = getPasswordPolicy();
+const USER = { username: 'alice', email: 'alice@example.com' };
+
+function reasonCodes(password, user) {
+  return checkPasswordPolicy(password, user).reasons.map(reason => reason.code);
+}
+
+describe('isBreachedPassword', () => {
+  it('finds passwords in the bundled corpus', () => {
+    assert.equal(isBreachedPassword('password'), true);
+    assert.equal(isBreachedPassword('password123'), true);
+    assert.equal(isBreachedPassword('iloveyou'), true);
+  });
+
+  it('does not flag other passwords', () => {
+    assert.equal(isBreachedPassword('Correct#Horse9'), false);
+  });
+});
+
+describe('estimatePasswordStrength', () => {
+  it('scores repeats, runs and keyboard walks as weak', () => {
+    assert.equal(estimatePasswordStrength('aaaaaaaaaaaa').score, 0);
+    assert.equal(estimatePasswordStrength('abcdefghijkl').score, 0);
+    assert.equal(estimatePasswordStrength('qwertyuiop').score, 0);
+  });
+
+  it('scores long mixed passwords as strong', () => {
+    assert.equal(estimatePasswordStrength('Correct#Horse9').score, 4);
+    assert.equal(estimatePasswordStrength('correct horse battery staple').score, 4);
+  });
+
+  it('barely counts the username and email', () => {
+    const own = estimatePasswordStrength('alice2024!', USER);
+    const other = estimatePasswordStrength('alice2024!', { username: 'bob', email: 'bob@example.com' });
+
+    assert.equal(own.containsPersonalInfo, true);
+    assert.equal(other.containsPersonalInfo, false);
+    assert.ok(own.bits < other.bits);
+  });
+
+  it('ignores details shorter than three characters', () => {
+    assert.equal(estimatePasswordStrength('ab-Horse#92', { username: 'ab' }).containsPersonalInfo, false);
+  });
+});
+
+describe('checkPasswordPolicy', () => {
+  it('accepts a strong password', () => {
+    const result = checkPasswordPolicy('Correct#Horse9', USER);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.score, 4);
+    assert.deepEqual(result.reasons, []);
+  });
+
+  it('rejects passwords outside the length limits', () => {
+    assert.ok(reasonCodes('x'.repeat(policy.minLength - 1)).includes('too_short'));
+    assert.ok(reasonCodes('x'.repeat(policy.maxLength + 1)).includes('too_long'));
+  });
+
+  it('rejects breached passwords', { skip: !policy.breachCheck }, () => {
+    assert.ok(reasonCodes('password123').includes('breached'));
+  });
+
+  it('rejects weak passwords and says when personal details are why', { skip: policy.minStrength < 2 }, () => {
+    assert.deepEqual(reasonCodes('aaaaaaaaaaaa'), ['too_weak']);
+    assert.deepEqual(reasonCodes('alice2024!', USER), ['too_weak', 'contains_personal_info']);
+  });
+
+  it('gives a message with every reason', () => {
+    const { reasons } = checkPasswordPolicy('short', USER);
+
+    assert.ok(reasons.length > 0);
+    for (const reason of reasons) {
+      assert.equal(typeof reason.message, 'string');
+      assert.ok(reason.message.length > 0);
+    }
+  });
+
+  it('treats a missing password as empty', () => {
+    const result = checkPasswordPolicy(undefined);
+
+    assert.equal(result.valid, false);
+    assert.ok(result.reasons.some(reason => reason.code === 'too_short'));
+  });
+});
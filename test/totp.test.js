@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTotpStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} from '../utils/totp.js';
+
+// RFC 6238 appendix B: SHA-1 seed "12345678901234567890"; the RFC's codes
+// are 8 digits, ours are their last 6
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('base32', () => {
+  it('encodes the RFC 4648 test vectors', () => {
+    assert.equal(base32Encode(Buffer.from('')), '');
+    assert.equal(base32Encode(Buffer.from('f')), 'MY');
+    assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  });
+
+  it('decodes ignoring case, padding and spaces', () => {
+    assert.equal(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+  });
+
+  it('round-trips generated secrets', () => {
+    const secret = generateTotpSecret();
+
+    assert.equal(secret.length, 32);
+    assert.equal(base32Encode(base32Decode(secret)), secret);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character/);
+  });
+});
+
+describe('generateTotp', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    it(`matches RFC 6238 at T=${seconds}`, () => {
+      assert.equal(generateTotp(RFC_SECRET, getTotpStep(seconds * 1000)), code);
+    });
+  }
+});
+
+describe('verifyTotp', () => {
+  const secret = generateTotpSecret();
+  const step = getTotpStep();
+
+  it('accepts the current code and returns its step', () => {
+    assert.equal(verifyTotp(secret, generateTotp(secret, step)), step);
+  });
+
+  it('accepts one step of clock drift either way', () => {
+    assert.equal(verifyTotp(secret, generateTotp(secret, step - 1)), step - 1);
+    assert.equal(verifyTotp(secret, generateTotp(secret, step + 1)), step + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    assert.equal(verifyTotp(secret, generateTotp(secret, step - 3)), null);
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    const code = generateTotp(secret, step);
+
+    assert.equal(verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`), step);
+    assert.equal(verifyTotp(secret, '12345'), null);
+    assert.equal(verifyTotp(secret, 'abcdef'), null);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('labels the account with the issuer', () => {
+    const uri = new URL(buildOtpauthUri('MZXW6YTBOI', 'a@b.com'));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/Otazumi:a@b.com');
+    assert.equal(uri.searchParams.get('secret'), 'MZXW6YTBOI');
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+  });
+});
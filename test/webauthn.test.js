@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+  COSE_ALGORITHMS,
+  readChallenge,
+  verifyRegistrationResponse,
+  verifyAuthenticationResponse
+} from '../utils/webauthn.js';
+
+/**
+ * Recorded ceremonies for one credential per algorithm: a registration and
+ * an assertion with user verification, and one of each without it
+ */
+function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/webauthn/${name}.json`, import.meta.url), 'utf8'));
+}
+
+const FIXTURES = {
+  ES256: loadFixture('es256'),
+  RS256: loadFixture('rs256')
+};
+
+for (const [name, fixture] of Object.entries(FIXTURES)) {
+  const expected = {
+    expectedOrigins: [fixture.origin],
+    expectedRpId: fixture.rpId
+  };
+
+  function register(overrides = {}) {
+    return verifyRegistrationResponse({
+      credential: fixture.registration.credential,
+      expectedChallenge: fixture.registration.challenge,
+      ...expected,
+      ...overrides
+    });
+  }
+
+  function authenticate(overrides = {}) {
+    const stored = register();
+
+    return verifyAuthenticationResponse({
+      credential: fixture.authentication.credential,
+      expectedChallenge: fixture.authentication.challenge,
+      publicKey: stored.publicKey,
+      signCount: stored.signCount,
+      ...expected,
+      ...overrides
+    });
+  }
+
+  describe(`${name} registration`, () => {
+    it('returns the credential to store', () => {
+      const stored = register();
+
+      assert.equal(stored.credentialId, fixture.registration.credential.id);
+      assert.equal(stored.algorithm, COSE_ALGORITHMS[name]);
+      assert.equal(stored.signCount, 0);
+      assert.deepEqual(stored.transports, ['internal', 'hybrid']);
+    });
+
+    it('reads the challenge before verifying', () => {
+      assert.equal(readChallenge(fixture.registration.credential), fixture.registration.challenge);
+    });
+
+    it('rejects another origin', () => {
+      assert.throws(
+        () => register({ expectedOrigins: ['https://evil.example'] }),
+        /Unexpected origin/
+      );
+    });
+
+    it('rejects another RP ID', () => {
+      assert.throws(() => register({ expectedRpId: 'evil.example' }), /another site/);
+    });
+
+    it('rejects another challenge', () => {
+      assert.throws(() => register({ expectedChallenge: fixture.authentication.challenge }), /Challenge/);
+    });
+
+    it('requires user verification', () => {
+      const credential = fixture.registrationWithoutUserVerification.credential;
+      const options = { credential, expectedChallenge: fixture.registrationWithoutUserVerification.challenge, ...expected };
+
+      assert.throws(() => verifyRegistrationResponse(options), /User verification is required/);
+      assert.equal(verifyRegistrationResponse({ ...options, requireUserVerification: false }).credentialId, credential.id);
+    });
+  });
+
+  describe(`${name} authentication`, () => {
+    it('verifies the signature and returns the new counter', () => {
+      const result = authenticate();
+
+      assert.equal(result.signCount, 1);
+      assert.equal(result.userHandle, fixture.authentication.credential.response.userHandle);
+    });
+
+    it('rejects another origin', () => {
+      assert.throws(() => authenticate({ expectedOrigins: ['https://evil.example'] }), /Unexpected origin/);
+    });
+
+    it('rejects another RP ID', () => {
+      assert.throws(() => authenticate({ expectedRpId: 'evil.example' }), /another site/);
+    });
+
+    it('rejects another challenge', () => {
+      assert.throws(() => authenticate({ expectedChallenge: fixture.registration.challenge }), /Challenge/);
+    });
+
+    it('rejects a signature from another key', () => {
+      const other = Object.values(FIXTURES).find(candidate => candidate !== fixture);
+      const { publicKey } = verifyRegistrationResponse({
+        credential: other.registration.credential,
+        expectedChallenge: other.registration.challenge,
+        expectedOrigins: [other.origin],
+        expectedRpId: other.rpId
+      });
+
+      assert.throws(() => authenticate({ publicKey }), /Signature is invalid/);
+    });
+
+    it('requires user verification', () => {
+      const stored = register();
+      const options = {
+        credential: fixture.authenticationWithoutUserVerification.credential,
+        expectedChallenge: fixture.authenticationWithoutUserVerification.challenge,
+        publicKey: stored.publicKey,
+        signCount: 1,
+        ...expected
+      };
+
+      assert.throws(() => verifyAuthenticationResponse(options), /User verification is required/);
+      assert.equal(verifyAuthenticationResponse({ ...options, requireUserVerification: false }).signCount, 2);
+    });
+
+    it('rejects a counter that did not increase', () => {
+      assert.throws(() => authenticate({ signCount: 1 }), /Signature counter did not increase/);
+      assert.throws(() => authenticate({ signCount: 5 }), /Signature counter did not increase/);
+    });
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * AniList list exports
+ */
+
+/**
+ * AniList MediaListStatus -> watchlist status
+ */
+export const WATCHLIST_STATUS_BY_ANILIST_STATUS = {
+  CURRENT: 'watching',
+  REPEATING: 'watching',
+  COMPLETED: 'completed',
+  PAUSED: 'on_hold',
+  DROPPED: 'dropped',
+  PLANNING: 'plan_to_watch'
+};
+
+/**
+ * Parse an AniList anime list export
+ * Accepts a MediaListCollection (with or without the GraphQL `data`
+ * wrapper) or any object with a `lists` array. Custom lists are skipped
+ * since their entries also appear in the status lists.
+ * Entries use the MyAnimeList ID when AniList knows it, `anilist-<id>` otherwise.
+ * @param {string|object} data - JSON text or parsed JSON
+ * @returns {object[]} { animeId, title, poster, status, sourceStatus, watchedEpisodes, updatedAt } per entry
+ */
+export function parseAniListJson(data) {
+  const json = typeof data === 'string' ? JSON.parse(data) : data;
+  const collection = json?.data?.MediaListCollection || json?.MediaListCollection || json;
+
+  if (!Array.isArray(collection?.lists)) {
+    throw new Error('Not an AniList export');
+  }
+
+  const entries = [];
+
+  for (const list of collection.lists) {
+    if (list.isCustomList) {
+      continue;
+    }
+
+    for (const entry of list.entries || []) {
+      const media = entry.media || {};
+      const malId = media.idMal ?? entry.idMal;
+      const anilistId = media.id ?? entry.mediaId;
+      const sourceStatus = entry.status || list.status || '';
+
+      entries.push({
+        animeId: malId ? String(malId) : anilistId ? `anilist-${anilistId}` : null,
+        title: media.title?.userPreferred || media.title?.english || media.title?.romaji || entry.title || null,
+        poster: media.coverImage?.large || media.coverImage?.medium || null,
+        status: WATCHLIST_STATUS_BY_ANILIST_STATUS[sourceStatus],
+        sourceStatus,
+        watchedEpisodes: parseInt(entry.progress || 0),
+        updatedAt: entry.updatedAt ? new Date(entry.updatedAt * 1000) : null
+      });
+    }
+  }
+
+  return entries;
+}
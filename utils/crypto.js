@@ -12,12 +12,10 @@ export function generateSecureToken(length = 32) {
 /**
  * Generate a random numeric code
  * @param {number} digits - Number of digits (default: 6)
- * @returns {string} Numeric code
+ * @returns {string} Numeric code, zero-padded (e.g. "004817")
  */
 export function generateNumericCode(digits = 6) {
-  const min = Math.pow(10, digits - 1);
-  const max = Math.pow(10, digits) - 1;
-  return Math.floor(Math.random() * (max - min + 1) + min).toString();
+  return crypto.randomInt(10 ** digits).toString().padStart(digits, '0');
 }
 
 /**
@@ -29,6 +27,36 @@ export function hashString(data) {
   return crypto.createHash('sha256').update(data).digest('hex');
 }
 
+/**
+ * Keyed hash for tokens and codes stored at rest
+ * HMAC-SHA256 with TOKEN_HASH_SECRET (falls back to JWT_SECRET). Without the
+ * key, a copy of the database cannot be used to redeem or brute-force
+ * tokens, and lookups by hash leak nothing about the stored values.
+ * @param {string} token - Token or code as sent to the user
+ * @returns {string} Hex HMAC
+ */
+export function hashToken(token) {
+  const secret = process.env.TOKEN_HASH_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('TOKEN_HASH_SECRET or JWT_SECRET must be set');
+  }
+
+  return crypto.createHmac('sha256', secret).update(String(token)).digest('hex');
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether they are equal
+ */
+export function safeCompare(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
 /**
  * Generate a random UUID
  * @returns {string} UUID string
@@ -36,3 +64,34 @@ export function hashString(data) {
 export function generateUUID() {
   return crypto.randomUUID();
 }
+
+/**
+ * Generate a PKCE code verifier
+ * @returns {string} Base64url verifier (43 characters)
+ */
+export function generateCodeVerifier() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Derive the S256 PKCE code challenge for a verifier
+ * @param {string} codeVerifier - Verifier from generateCodeVerifier
+ * @returns {string} Base64url SHA256 challenge
+ */
+export function generateCodeChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+/**
+ * Generate a human-friendly room code (no 0/O or 1/I lookalikes)
+ * @param {number} length - Number of characters (default: 6)
+ * @returns {string} Uppercase room code
+ */
+export function generateRoomCode(length = 6) {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code;
+}
@@ -0,0 +1,37 @@
+/**
+ * Quote a value for CSV
+ * Values that a spreadsheet would run as a formula are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {string[]} columns - Column names, also the keys read from each row
+ * @param {object[]} rows - Rows to write
+ * @returns {string} CSV with a header line
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,14 @@
+/**
+ * Error carrying an HTTP status code for the global error handler
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} message - Error message returned to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
@@ -1,43 +1,153 @@
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { SigningKeyService } from '../services/signingKeyService.js';
 
 /**
- * Generate JWT token for user
- * @param {number} userId - User ID to encode
- * @param {string} expiresIn - Token expiration (default from env or '7d')
- * @returns {string} JWT token
+ * JWT creation and verification
+ *
+ * Tokens are signed with the current key from SigningKeyService (RS256 or
+ * EdDSA) and carry its kid, so anyone holding /.well-known/jwks.json can
+ * verify them. Every token has iss, aud, sub (the user ID), jti, iat and
+ * exp; access tokens add sid, the session they belong to.
  */
-export function generateToken(userId, expiresIn = null) {
+
+const ISSUER = process.env.JWT_ISSUER || 'otazumi-api';
+const AUDIENCE = process.env.JWT_AUDIENCE || 'otazumi';
+// 2FA challenges get their own audience so no service accepts them as access tokens
+const TWO_FACTOR_AUDIENCE = `${ISSUER}/2fa`;
+
+// Node's crypto.sign digest for each JWS algorithm (Ed25519 takes none)
+const DIGESTS = {
+  RS256: 'sha256',
+  EdDSA: null
+};
+
+/**
+ * Parse a lifetime like "15m", "12h", "7d" or plain seconds
+ * @param {string} value - Lifetime
+ * @returns {number} Seconds
+ */
+function parseLifetime(value) {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value).trim());
+
+  if (!match) {
+    throw new Error(`Invalid token lifetime: ${value}`);
+  }
+
+  const units = { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+  return parseInt(match[1]) * units[match[2]];
+}
+
+const ACCESS_TOKEN_LIFETIME = parseLifetime(process.env.JWT_EXPIRES_IN || '15m');
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Sign claims with the current signing key
+ */
+async function signToken(claims, audience, lifetime) {
+  const key = await SigningKeyService.getSigningKey();
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = { alg: key.algorithm, typ: 'JWT', kid: key.kid };
   const payload = {
-    userId,
-    iat: Math.floor(Date.now() / 1000)
+    jti: crypto.randomUUID(),
+    ...claims,
+    iss: ISSUER,
+    aud: audience,
+    iat: now,
+    exp: now + lifetime
   };
 
-  const options = {
-    expiresIn: expiresIn || process.env.JWT_EXPIRES_IN || '7d'
-  };
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+  const signature = crypto.sign(DIGESTS[key.algorithm], Buffer.from(signingInput), key.privateKey);
 
-  return jwt.sign(payload, process.env.JWT_SECRET, options);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+/**
+ * Generate a short-lived access token bound to a session
+ * @param {number} userId - User ID (sub)
+ * @param {number} sessionId - Session ID (sid)
+ * @returns {Promise<string>} JWT
+ */
+export function createAccessToken(userId, sessionId) {
+  return signToken({ sub: String(userId), sid: sessionId }, AUDIENCE, ACCESS_TOKEN_LIFETIME);
+}
+
+/**
+ * Generate a short-lived "2FA pending" challenge token
+ * Has no session and another audience, so it never works as an access token
+ * @param {number} userId - User ID (sub)
+ * @param {string} challengeId - Server-side challenge record (jti)
+ * @param {number} lifetime - Seconds until it expires
+ * @returns {Promise<string>} JWT
+ */
+export function createTwoFactorChallenge(userId, challengeId, lifetime) {
+  return signToken({ sub: String(userId), jti: challengeId }, TWO_FACTOR_AUDIENCE, lifetime);
 }
 
 /**
  * Verify and decode JWT token
  * @param {string} token - JWT token to verify
- * @returns {object} Decoded token payload
+ * @param {string} audience - Expected audience (default: access tokens)
+ * @returns {Promise<object>} Decoded payload, with userId parsed from sub
  * @throws {Error} If token is invalid or expired
  */
-export function verifyToken(token) {
+export async function verifyToken(token, audience = AUDIENCE) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Invalid token');
+  }
+
+  let header;
+  let payload;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    return decoded;
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
   } catch (error) {
-    if (error.name === 'TokenExpiredError') {
-      throw new Error('Token has expired');
-    } else if (error.name === 'JsonWebTokenError') {
-      throw new Error('Invalid token');
-    } else {
-      throw new Error('Token verification failed');
-    }
+    throw new Error('Invalid token');
+  }
+
+  // The key decides the algorithm; a header naming another one is rejected
+  const key = header && typeof header.kid === 'string'
+    ? await SigningKeyService.getVerificationKey(header.kid)
+    : null;
+
+  if (!key || header.alg !== key.algorithm) {
+    throw new Error('Invalid token');
   }
+
+  const valid = crypto.verify(
+    DIGESTS[key.algorithm],
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key.publicKey,
+    Buffer.from(parts[2], 'base64url')
+  );
+
+  if (!valid || !payload || payload.iss !== ISSUER || payload.aud !== audience || !payload.sub) {
+    throw new Error('Invalid token');
+  }
+
+  if (typeof payload.exp !== 'number' || Date.now() >= payload.exp * 1000) {
+    throw new Error('Token has expired');
+  }
+
+  return { ...payload, userId: parseInt(payload.sub) };
+}
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Token from createTwoFactorChallenge
+ * @returns {Promise<object>} Decoded payload, with userId parsed from sub
+ */
+export function verifyTwoFactorChallenge(token) {
+  return verifyToken(token, TWO_FACTOR_AUDIENCE);
 }
 
 /**
@@ -47,7 +157,7 @@ export function verifyToken(token) {
  */
 export function decodeToken(token) {
   try {
-    return jwt.decode(token);
+    return decodeSegment(token.split('.')[1]);
   } catch (error) {
     return null;
   }
@@ -0,0 +1,138 @@
+/**
+ * MyAnimeList list XML
+ */
+
+/**
+ * Watchlist status -> MyAnimeList my_status
+ */
+export const MAL_STATUS_BY_WATCHLIST_STATUS = {
+  watching: 'Watching',
+  completed: 'Completed',
+  on_hold: 'On-Hold',
+  dropped: 'Dropped',
+  plan_to_watch: 'Plan to Watch'
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function cdata(value) {
+  return `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Build a MyAnimeList anime list export
+ * Only numeric anime IDs are MyAnimeList IDs; others are written as 0 so
+ * MyAnimeList matches the entry by title.
+ * @param {string} username - Account username
+ * @param {object[]} entries - { animeId, title, status, watchedEpisodes }
+ * @returns {string} XML document
+ */
+export function buildMalXml(username, entries) {
+  const totals = Object.fromEntries(Object.keys(MAL_STATUS_BY_WATCHLIST_STATUS).map(status => [status, 0]));
+  for (const entry of entries) {
+    if (entry.status in totals) {
+      totals[entry.status]++;
+    }
+  }
+
+  const anime = entries.map(entry => `  <anime>
+    <series_animedb_id>${/^\d+$/.test(entry.animeId) ? entry.animeId : 0}</series_animedb_id>
+    <series_title>${cdata(entry.title)}</series_title>
+    <series_type></series_type>
+    <series_episodes>0</series_episodes>
+    <my_id>0</my_id>
+    <my_watched_episodes>${entry.watchedEpisodes || 0}</my_watched_episodes>
+    <my_start_date>0000-00-00</my_start_date>
+    <my_finish_date>0000-00-00</my_finish_date>
+    <my_score>0</my_score>
+    <my_status>${MAL_STATUS_BY_WATCHLIST_STATUS[entry.status] || 'Plan to Watch'}</my_status>
+    <my_times_watched>0</my_times_watched>
+    <update_on_import>1</update_on_import>
+  </anime>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8" ?>',
+    '<myanimelist>',
+    '  <myinfo>',
+    '    <user_export_type>1</user_export_type>',
+    `    <user_name>${escapeXml(username)}</user_name>`,
+    `    <user_total_anime>${entries.length}</user_total_anime>`,
+    `    <user_total_watching>${totals.watching}</user_total_watching>`,
+    `    <user_total_completed>${totals.completed}</user_total_completed>`,
+    `    <user_total_onhold>${totals.on_hold}</user_total_onhold>`,
+    `    <user_total_dropped>${totals.dropped}</user_total_dropped>`,
+    `    <user_total_plantowatch>${totals.plan_to_watch}</user_total_plantowatch>`,
+    '  </myinfo>',
+    ...anime,
+    '</myanimelist>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * MyAnimeList my_status (text or numeric code) -> watchlist status
+ */
+export const WATCHLIST_STATUS_BY_MAL_STATUS = {
+  'watching': 'watching',
+  'completed': 'completed',
+  'on-hold': 'on_hold',
+  'dropped': 'dropped',
+  'plan to watch': 'plan_to_watch',
+  '1': 'watching',
+  '2': 'completed',
+  '3': 'on_hold',
+  '4': 'dropped',
+  '6': 'plan_to_watch'
+};
+
+function decodeXml(value) {
+  if (value.includes('<![CDATA[')) {
+    return value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  }
+
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readTag(block, name) {
+  const match = block.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+/**
+ * Parse a MyAnimeList anime list export
+ * @param {string} xml - Contents of the exported XML file
+ * @returns {object[]} { animeId, title, status, sourceStatus, watchedEpisodes, updatedAt } per entry
+ */
+export function parseMalXml(xml) {
+  if (typeof xml !== 'string' || !/<myanimelist[\s>]/.test(xml)) {
+    throw new Error('Not a MyAnimeList export');
+  }
+
+  const blocks = xml.match(/<anime>[\s\S]*?<\/anime>/g) || [];
+
+  return blocks.map(block => {
+    const sourceStatus = readTag(block, 'my_status') || '';
+    const malId = readTag(block, 'series_animedb_id');
+
+    return {
+      animeId: malId && malId !== '0' ? malId : null,
+      title: readTag(block, 'series_title'),
+      poster: null,
+      status: WATCHLIST_STATUS_BY_MAL_STATUS[sourceStatus.toLowerCase()],
+      sourceStatus,
+      watchedEpisodes: parseInt(readTag(block, 'my_watched_episodes') || '0'),
+      updatedAt: null
+    };
+  });
+}
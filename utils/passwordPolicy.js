@@ -0,0 +1,226 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Password policy shared by every route that sets a password
+ *
+ * A password must be long enough, not appear in the breached-password
+ * corpus and reach PASSWORD_MIN_STRENGTH on a 0-4 strength scale. Parts of
+ * the username or email address count for almost nothing.
+ */
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8');
+// Upper bound keeps hashing cheap
+const MAX_LENGTH = 128;
+const MIN_STRENGTH = parseInt(process.env.PASSWORD_MIN_STRENGTH || '2');
+const BREACH_CHECK = process.env.PASSWORD_BREACH_CHECK !== 'false';
+
+// Bundled corpus: "PREFIX:SUFFIX" lines of uppercase SHA-1 hashes split after 5 characters
+const BUNDLED_CORPUS = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'breached-passwords.txt');
+// Optional directory of Have I Been Pwned range files (PREFIX.txt holding "SUFFIX:COUNT" lines)
+const RANGE_DIR = process.env.BREACHED_PASSWORDS_DIR || null;
+
+const KEYBOARD_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', "asdfghjkl;'", 'zxcvbnm,./'];
+
+const REASON_MESSAGES = {
+  too_short: `Password must be at least ${MIN_LENGTH} characters`,
+  too_long: `Password must be at most ${MAX_LENGTH} characters`,
+  breached: 'This password has appeared in a data breach. Choose a different one.',
+  too_weak: 'Password is too easy to guess. Use a longer mix of words, numbers or symbols.',
+  contains_personal_info: 'Password should not contain your username or email address'
+};
+
+let bundledRanges = null;
+
+/**
+ * Suffixes in the bundled corpus, grouped by prefix (loaded once)
+ */
+function loadBundledRanges() {
+  if (bundledRanges) {
+    return bundledRanges;
+  }
+
+  bundledRanges = new Map();
+
+  if (fs.existsSync(BUNDLED_CORPUS)) {
+    for (const line of fs.readFileSync(BUNDLED_CORPUS, 'utf8').split('\n')) {
+      const [prefix, suffix] = line.trim().split(':');
+      if (!prefix || !suffix) {
+        continue;
+      }
+      if (!bundledRanges.has(prefix)) {
+        bundledRanges.set(prefix, new Set());
+      }
+      bundledRanges.get(prefix).add(suffix);
+    }
+  }
+
+  return bundledRanges;
+}
+
+/**
+ * Breached hash suffixes sharing a 5-character SHA-1 prefix
+ * Only the prefix is ever looked up, the same k-anonymity range lookup the
+ * Pwned Passwords API uses, so a remote range source can be swapped in.
+ * @param {string} prefix - Uppercase hex prefix
+ * @returns {Set<string>} Uppercase hex suffixes
+ */
+export function getBreachedRange(prefix) {
+  const suffixes = new Set(loadBundledRanges().get(prefix) || []);
+
+  if (RANGE_DIR) {
+    const file = path.join(RANGE_DIR, `${prefix}.txt`);
+    if (fs.existsSync(file)) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        const suffix = line.split(':')[0].trim().toUpperCase();
+        if (suffix) {
+          suffixes.add(suffix);
+        }
+      }
+    }
+  }
+
+  return suffixes;
+}
+
+/**
+ * Check a password against the breached-password corpus
+ * @param {string} password - Candidate password
+ * @returns {boolean} Whether it is known to be breached
+ */
+export function isBreachedPassword(password) {
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  return getBreachedRange(hash.slice(0, 5)).has(hash.slice(5));
+}
+
+/**
+ * Whether b directly follows a on a keyboard row (either direction)
+ */
+function isKeyboardNeighbor(a, b) {
+  return KEYBOARD_ROWS.some(row => {
+    const index = row.indexOf(a);
+    return index !== -1 && (row[index + 1] === b || row[index - 1] === b);
+  });
+}
+
+/**
+ * Lowercase fragments of the user's own details worth penalising
+ */
+function personalTokens({ username, email } = {}) {
+  const tokens = [];
+
+  if (username) {
+    tokens.push(String(username).toLowerCase());
+  }
+  if (email) {
+    const [local, domain] = String(email).toLowerCase().split('@');
+    tokens.push(local);
+    if (domain) {
+      tokens.push(domain.split('.')[0]);
+    }
+  }
+
+  return tokens.filter(token => token.length >= 3);
+}
+
+/**
+ * Estimate password strength
+ * Entropy from the character classes used, where repeated characters,
+ * runs like "abc" or "123", keyboard walks like "qwerty" and the user's own
+ * username or email count for about one bit each.
+ * @param {string} password - Candidate password
+ * @param {object} user - { username, email } to penalise
+ * @returns {{ score: number, bits: number, containsPersonalInfo: boolean }} Score from 0 (weakest) to 4
+ */
+export function estimatePasswordStrength(password, user = {}) {
+  let remaining = password;
+  let bits = 0;
+  let containsPersonalInfo = false;
+
+  for (const token of personalTokens(user)) {
+    const index = remaining.toLowerCase().indexOf(token);
+    if (index !== -1) {
+      containsPersonalInfo = true;
+      remaining = remaining.slice(0, index) + remaining.slice(index + token.length);
+      bits += 1;
+    }
+  }
+
+  let charset = 0;
+  const classes = [[/[a-z]/, 26], [/[A-Z]/, 26], [/[0-9]/, 10], [/[^a-zA-Z0-9]/, 33]];
+  for (const [pattern, size] of classes) {
+    if (pattern.test(remaining)) {
+      charset += size;
+    }
+  }
+
+  const bitsPerChar = charset > 0 ? Math.log2(charset) : 0;
+  const lower = remaining.toLowerCase();
+
+  for (let i = 0; i < lower.length; i++) {
+    const step = i > 0 ? lower.charCodeAt(i) - lower.charCodeAt(i - 1) : null;
+    const previousStep = i > 1 ? lower.charCodeAt(i - 1) - lower.charCodeAt(i - 2) : null;
+
+    const predictable = i > 0 && (
+      step === 0 ||
+      (Math.abs(step) === 1 && step === previousStep) ||
+      (i > 1 && isKeyboardNeighbor(lower[i - 1], lower[i]) && isKeyboardNeighbor(lower[i - 2], lower[i - 1]))
+    );
+
+    bits += predictable ? 1 : bitsPerChar;
+  }
+
+  const thresholds = [28, 36, 50, 64];
+  const score = thresholds.filter(threshold => bits >= threshold).length;
+
+  return { score, bits: Math.round(bits), containsPersonalInfo };
+}
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Candidate password
+ * @param {object} user - { username, email } of the account, when known
+ * @returns {{ valid: boolean, score: number, reasons: { code: string, message: string }[] }}
+ */
+export function checkPasswordPolicy(password, user = {}) {
+  const value = typeof password === 'string' ? password : '';
+  const codes = [];
+
+  if (value.length < MIN_LENGTH) {
+    codes.push('too_short');
+  }
+  if (value.length > MAX_LENGTH) {
+    codes.push('too_long');
+  }
+  if (BREACH_CHECK && value && isBreachedPassword(value)) {
+    codes.push('breached');
+  }
+
+  const strength = estimatePasswordStrength(value, user);
+  if (strength.score < MIN_STRENGTH) {
+    codes.push('too_weak');
+    if (strength.containsPersonalInfo) {
+      codes.push('contains_personal_info');
+    }
+  }
+
+  return {
+    valid: codes.length === 0,
+    score: strength.score,
+    reasons: codes.map(code => ({ code, message: REASON_MESSAGES[code] }))
+  };
+}
+
+/**
+ * Current policy settings, for clients showing requirements up front
+ */
+export function getPasswordPolicy() {
+  return {
+    minLength: MIN_LENGTH,
+    maxLength: MAX_LENGTH,
+    minStrength: MIN_STRENGTH,
+    breachCheck: BREACH_CHECK
+  };
+}
@@ -0,0 +1,46 @@
+// Longest device header value kept
+const MAX_HEADER_LENGTH = 100;
+
+/**
+ * Read an optional, length-capped header
+ */
+function deviceHeader(req, name) {
+  const value = (req.get(name) || '').trim();
+  return value ? value.slice(0, MAX_HEADER_LENGTH) : null;
+}
+
+/**
+ * Client details recorded with sessions and security events
+ * Apps name the device with X-Device-Name, X-Device-Platform and X-App-Version.
+ * @param {object} req - Express request
+ * @returns {{ ipAddress: string|null, userAgent: string|null, deviceName: string|null, platform: string|null, appVersion: string|null }}
+ */
+export function getRequestContext(req) {
+  return {
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+    deviceName: deviceHeader(req, 'x-device-name'),
+    platform: deviceHeader(req, 'x-device-platform'),
+    appVersion: deviceHeader(req, 'x-app-version')
+  };
+}
+
+/**
+ * Read a cookie from the Cookie header
+ * @param {object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Decoded value
+ */
+export function readCookie(req, name) {
+  for (const pair of (req.get('cookie') || '').split(';')) {
+    const index = pair.indexOf('=');
+    if (index > 0 && pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} Decoded bytes
+ */
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the TOTP time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch (default: now)
+ * @returns {number} Time step counter
+ */
+export function getTotpStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Generate the TOTP code for a time step (RFC 6238, HMAC-SHA1)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded numeric code
+ */
+export function generateTotp(secret, step = getTotpStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Steps accepted on either side of now (default: 1)
+ * @returns {number|null} Matching time step, or null if invalid
+ */
+export function verifyTotp(secret, code, window = 1) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTotpStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (usually the email)
+ * @param {string} issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri(secret, accountName, issuer = 'Otazumi') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
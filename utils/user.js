@@ -0,0 +1,25 @@
+/**
+ * Fields that must never leave the server
+ */
+const PRIVATE_USER_FIELDS = [
+  'password',
+  'discordAccessToken',
+  'discordRefreshToken',
+  'twoFactorSecret',
+  'twoFactorLastUsedStep',
+  'unlockTokenHash',
+  'restoreTokenHash'
+];
+
+/**
+ * Strip secrets from a user record before returning it to clients
+ * @param {object} user - Row from the users table
+ * @returns {object} User without password or provider tokens
+ */
+export function sanitizeUser(user) {
+  const publicUser = { ...user };
+  for (const field of PRIVATE_USER_FIELDS) {
+    delete publicUser[field];
+  }
+  return publicUser;
+}
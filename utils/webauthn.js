@@ -0,0 +1,387 @@
+import crypto from 'crypto';
+
+/**
+ * WebAuthn (passkey) ceremony verification
+ *
+ * Pure functions: everything they need is passed in, so recorded browser
+ * responses can be replayed without a real authenticator. Credentials are
+ * the JSON form browsers produce (PublicKeyCredential.toJSON()), with
+ * binary fields base64url-encoded.
+ *
+ * Attestation statements are not checked: registration asks for
+ * attestation "none", so the authenticator's make is not trusted for anything.
+ */
+
+// COSE algorithm identifiers we accept
+export const COSE_ALGORITHMS = {
+  ES256: -7,
+  EdDSA: -8,
+  RS256: -257
+};
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+const FLAG_EXTENSION_DATA = 0x80;
+
+/**
+ * Decode a base64url string (Buffers pass through)
+ */
+function fromBase64Url(value, field) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new Error(`${field} must be base64url`);
+  }
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Read the argument of a CBOR item header
+ */
+function readCborLength(buffer, offset, info) {
+  if (info < 24) {
+    return [info, offset];
+  }
+  if (info === 24) {
+    return [buffer.readUInt8(offset), offset + 1];
+  }
+  if (info === 25) {
+    return [buffer.readUInt16BE(offset), offset + 2];
+  }
+  if (info === 26) {
+    return [buffer.readUInt32BE(offset), offset + 4];
+  }
+  if (info === 27) {
+    return [Number(buffer.readBigUInt64BE(offset)), offset + 8];
+  }
+  throw new Error('Unsupported CBOR length encoding');
+}
+
+/**
+ * Decode one CBOR item starting at offset
+ * @returns {[any, number]} Value and the offset after it
+ */
+function decodeCborItem(buffer, offset) {
+  if (offset >= buffer.length) {
+    throw new Error('Truncated CBOR data');
+  }
+
+  const initial = buffer[offset];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) {
+    switch (info) {
+      case 20: return [false, offset + 1];
+      case 21: return [true, offset + 1];
+      case 22: return [null, offset + 1];
+      case 23: return [undefined, offset + 1];
+      case 26: return [buffer.readFloatBE(offset + 1), offset + 5];
+      case 27: return [buffer.readDoubleBE(offset + 1), offset + 9];
+      default: throw new Error('Unsupported CBOR simple value');
+    }
+  }
+
+  let [length, position] = readCborLength(buffer, offset + 1, info);
+
+  switch (major) {
+    case 0:
+      return [length, position];
+    case 1:
+      return [-1 - length, position];
+    case 2:
+    case 3: {
+      if (position + length > buffer.length) {
+        throw new Error('Truncated CBOR data');
+      }
+      const bytes = buffer.subarray(position, position + length);
+      return [major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), position + length];
+    }
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        let item;
+        [item, position] = decodeCborItem(buffer, position);
+        items.push(item);
+      }
+      return [items, position];
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        let key;
+        let value;
+        [key, position] = decodeCborItem(buffer, position);
+        [value, position] = decodeCborItem(buffer, position);
+        map.set(key, value);
+      }
+      return [map, position];
+    }
+    default:
+      // Tags (major type 6) only annotate the item that follows
+      return decodeCborItem(buffer, position);
+  }
+}
+
+/**
+ * Decode CBOR data (maps become Map instances)
+ * @param {Buffer} buffer - CBOR bytes
+ * @param {boolean} allowTrailing - Accept bytes after the first item
+ * @returns {{ value: any, length: number }} Decoded item and bytes consumed
+ */
+export function decodeCbor(buffer, allowTrailing = false) {
+  const [value, length] = decodeCborItem(buffer, 0);
+
+  if (!allowTrailing && length !== buffer.length) {
+    throw new Error('Unexpected data after CBOR item');
+  }
+
+  return { value, length };
+}
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} authData - Raw authenticator data
+ * @returns {object} rpIdHash, flags, signCount and, after registration,
+ *   aaguid, credentialId and credentialPublicKey (COSE bytes)
+ */
+export function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+
+  const flagsByte = authData[32];
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: {
+      userPresent: Boolean(flagsByte & FLAG_USER_PRESENT),
+      userVerified: Boolean(flagsByte & FLAG_USER_VERIFIED),
+      backupEligible: Boolean(flagsByte & FLAG_BACKUP_ELIGIBLE),
+      backedUp: Boolean(flagsByte & FLAG_BACKED_UP),
+      attestedCredentialData: Boolean(flagsByte & FLAG_ATTESTED_CREDENTIAL_DATA),
+      extensionData: Boolean(flagsByte & FLAG_EXTENSION_DATA)
+    },
+    signCount: authData.readUInt32BE(33)
+  };
+
+  let offset = 37;
+
+  if (parsed.flags.attestedCredentialData) {
+    if (authData.length < offset + 18) {
+      throw new Error('Attested credential data is too short');
+    }
+
+    parsed.aaguid = authData.subarray(offset, offset + 16).toString('hex');
+    const idLength = authData.readUInt16BE(offset + 16);
+    offset += 18;
+
+    parsed.credentialId = authData.subarray(offset, offset + idLength);
+    offset += idLength;
+
+    const { length } = decodeCbor(authData.subarray(offset), true);
+    parsed.credentialPublicKey = authData.subarray(offset, offset + length);
+    offset += length;
+  }
+
+  if (parsed.flags.extensionData) {
+    const { length } = decodeCbor(authData.subarray(offset), true);
+    offset += length;
+  }
+
+  if (offset !== authData.length) {
+    throw new Error('Unexpected data after authenticator data');
+  }
+
+  return parsed;
+}
+
+/**
+ * Turn a COSE public key into a Node key
+ * @param {Buffer} coseKey - COSE_Key bytes
+ * @returns {{ key: crypto.KeyObject, algorithm: number }}
+ */
+export function coseToPublicKey(coseKey) {
+  const { value: cose } = decodeCbor(coseKey);
+
+  if (!(cose instanceof Map)) {
+    throw new Error('Invalid COSE key');
+  }
+
+  const keyType = cose.get(1);
+  const algorithm = cose.get(3);
+  let jwk;
+
+  if (keyType === 2 && algorithm === COSE_ALGORITHMS.ES256 && cose.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: cose.get(-2).toString('base64url'), y: cose.get(-3).toString('base64url') };
+  } else if (keyType === 1 && algorithm === COSE_ALGORITHMS.EdDSA && cose.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: cose.get(-2).toString('base64url') };
+  } else if (keyType === 3 && algorithm === COSE_ALGORITHMS.RS256) {
+    jwk = { kty: 'RSA', n: cose.get(-1).toString('base64url'), e: cose.get(-2).toString('base64url') };
+  } else {
+    throw new Error('Unsupported public key algorithm');
+  }
+
+  return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), algorithm };
+}
+
+/**
+ * Check clientDataJSON against the ceremony we started
+ */
+function verifyClientData(clientDataJSON, { type, expectedChallenge, expectedOrigins }) {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid client data');
+  }
+
+  if (clientData.type !== type) {
+    throw new Error(`Unexpected ceremony type ${clientData.type}`);
+  }
+  if (clientData.challenge !== expectedChallenge) {
+    throw new Error('Challenge does not match');
+  }
+  if (!expectedOrigins.includes(clientData.origin)) {
+    throw new Error(`Unexpected origin ${clientData.origin}`);
+  }
+
+  return clientData;
+}
+
+/**
+ * Check the RP ID hash and user flags in authenticator data
+ */
+function verifyAuthenticatorFlags(authenticator, { expectedRpId, requireUserVerification }) {
+  const rpIdHash = crypto.createHash('sha256').update(expectedRpId).digest();
+
+  if (!crypto.timingSafeEqual(authenticator.rpIdHash, rpIdHash)) {
+    throw new Error('Credential was created for another site');
+  }
+  if (!authenticator.flags.userPresent) {
+    throw new Error('User presence was not confirmed');
+  }
+  if (requireUserVerification && !authenticator.flags.userVerified) {
+    throw new Error('User verification is required');
+  }
+}
+
+/**
+ * Get the challenge a ceremony was started with, before verifying it
+ * @param {object} credential - Credential JSON from the browser
+ * @returns {string|null} Base64url challenge
+ */
+export function readChallenge(credential) {
+  try {
+    const clientData = JSON.parse(fromBase64Url(credential.response.clientDataJSON, 'clientDataJSON').toString('utf8'));
+    return typeof clientData.challenge === 'string' ? clientData.challenge : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify a registration (navigator.credentials.create) response
+ * @param {object} options - { credential, expectedChallenge, expectedOrigins, expectedRpId, requireUserVerification }
+ * @returns {{ credentialId: string, publicKey: string, algorithm: number, signCount: number,
+ *   aaguid: string, backedUp: boolean, transports: string[] }} Values to store (base64url)
+ */
+export function verifyRegistrationResponse({
+  credential,
+  expectedChallenge,
+  expectedOrigins,
+  expectedRpId,
+  requireUserVerification = true
+}) {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new Error('Invalid credential');
+  }
+
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON, 'clientDataJSON');
+  verifyClientData(clientDataJSON, { type: 'webauthn.create', expectedChallenge, expectedOrigins });
+
+  const { value: attestation } = decodeCbor(fromBase64Url(credential.response.attestationObject, 'attestationObject'));
+  if (!(attestation instanceof Map) || !Buffer.isBuffer(attestation.get('authData'))) {
+    throw new Error('Invalid attestation object');
+  }
+
+  const authenticator = parseAuthenticatorData(attestation.get('authData'));
+  verifyAuthenticatorFlags(authenticator, { expectedRpId, requireUserVerification });
+
+  if (!authenticator.credentialId) {
+    throw new Error('No credential in attestation');
+  }
+
+  const credentialId = authenticator.credentialId.toString('base64url');
+  if (credential.id !== credentialId) {
+    throw new Error('Credential ID does not match');
+  }
+
+  const { algorithm } = coseToPublicKey(authenticator.credentialPublicKey);
+  const transports = Array.isArray(credential.response.transports)
+    ? credential.response.transports.filter(transport => typeof transport === 'string')
+    : [];
+
+  return {
+    credentialId,
+    publicKey: authenticator.credentialPublicKey.toString('base64url'),
+    algorithm,
+    signCount: authenticator.signCount,
+    aaguid: authenticator.aaguid,
+    backedUp: authenticator.flags.backedUp,
+    transports
+  };
+}
+
+/**
+ * Verify an authentication (navigator.credentials.get) response
+ * @param {object} options - { credential, expectedChallenge, expectedOrigins, expectedRpId,
+ *   publicKey (stored base64url COSE key), signCount (stored), requireUserVerification }
+ * @returns {{ signCount: number, backedUp: boolean, userHandle: string|null }}
+ */
+export function verifyAuthenticationResponse({
+  credential,
+  expectedChallenge,
+  expectedOrigins,
+  expectedRpId,
+  publicKey,
+  signCount,
+  requireUserVerification = true
+}) {
+  if (!credential || credential.type !== 'public-key' || !credential.response) {
+    throw new Error('Invalid credential');
+  }
+
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON, 'clientDataJSON');
+  verifyClientData(clientDataJSON, { type: 'webauthn.get', expectedChallenge, expectedOrigins });
+
+  const authData = fromBase64Url(credential.response.authenticatorData, 'authenticatorData');
+  const authenticator = parseAuthenticatorData(authData);
+  verifyAuthenticatorFlags(authenticator, { expectedRpId, requireUserVerification });
+
+  const { key, algorithm } = coseToPublicKey(Buffer.from(publicKey, 'base64url'));
+  const signedData = Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+  const signature = fromBase64Url(credential.response.signature, 'signature');
+
+  const isValid = algorithm === COSE_ALGORITHMS.EdDSA
+    ? crypto.verify(null, signedData, key, signature)
+    : crypto.verify('sha256', signedData, key, signature);
+
+  if (!isValid) {
+    throw new Error('Signature is invalid');
+  }
+
+  // Authenticators without a counter always send 0; otherwise it must grow
+  if ((authenticator.signCount > 0 || signCount > 0) && authenticator.signCount <= signCount) {
+    throw new Error('Signature counter did not increase; the passkey may have been cloned');
+  }
+
+  return {
+    signCount: authenticator.signCount,
+    backedUp: authenticator.flags.backedUp,
+    userHandle: credential.response.userHandle || null
+  };
+}